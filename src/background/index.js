@@ -19,7 +19,7 @@ browser.runtime.onInstalled.addListener((details) => {
         messageFontSize: 14,
         transparency: 0.85,
         textOutline: true,
-        maxMessages: 50
+        maxMessages: 500
       }
     });
   }
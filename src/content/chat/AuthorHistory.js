@@ -0,0 +1,118 @@
+/**
+ * AuthorHistory - Every message each author sent this session, for the user card
+ */
+
+import { MessageType } from './MessageParser.js';
+
+/**
+ * Messages kept per author; the renderer's history cap doesn't apply here,
+ * this only stops one flooding author from growing the index without bound
+ */
+const MAX_MESSAGES_PER_AUTHOR = 1000;
+
+/**
+ * AuthorHistory indexes shown messages by the author's channel ID.
+ * Deleted messages stay in the list, flagged, so moderators can still see what was said.
+ */
+export class AuthorHistory {
+    constructor() {
+        this.authors = new Map(); // channelId -> { author, badges, membership, messages }
+        this.messageAuthors = new Map(); // messageId -> channelId
+    }
+
+    /**
+     * Record a message
+     * @param {object} message - Normalized message object from MessageParser
+     */
+    add(message) {
+        const channelId = message?.author?.channelId;
+        if (!channelId || message.type === MessageType.SYSTEM) return;
+        // Sent again after a chat filter switch or a replay seek
+        if (this.messageAuthors.has(message.id)) return;
+
+        let entry = this.authors.get(channelId);
+        if (!entry) {
+            entry = { author: null, badges: [], membership: '', messages: [] };
+            this.authors.set(channelId, entry);
+        }
+
+        // Newest message has the current name, avatar and badges
+        entry.author = message.author;
+        entry.badges = message.badges || [];
+        entry.membership = this._getMembership(message) || entry.membership;
+
+        entry.messages.push(message);
+        this.messageAuthors.set(message.id, channelId);
+        if (entry.messages.length > MAX_MESSAGES_PER_AUTHOR) {
+            this.messageAuthors.delete(entry.messages.shift().id);
+        }
+    }
+
+    /**
+     * Replace a recorded message (e.g. a held message that was approved)
+     * @param {string} messageId - ID of the message being replaced
+     * @param {object} message - New normalized message object
+     */
+    update(messageId, message) {
+        const messages = this.authors.get(this.messageAuthors.get(messageId))?.messages;
+        const index = messages ? messages.findIndex(m => m.id === messageId) : -1;
+        if (index !== -1) {
+            messages[index] = message;
+        }
+    }
+
+    /**
+     * Flag deleted messages, or all of an author's messages for a ban / timeout
+     * @param {object} removal - Removal event from MessageParser
+     */
+    remove(removal) {
+        const channelId = removal.channelId || this.messageAuthors.get(removal.messageId);
+        const entry = this.authors.get(channelId);
+        if (!entry) return;
+
+        entry.messages = entry.messages.map(m =>
+            (!removal.messageId || m.id === removal.messageId) ? { ...m, deleted: true } : m
+        );
+    }
+
+    /**
+     * Forget messages taken back by a rewind (they are recorded again once due)
+     * @param {string[]} messageIds - IDs of the retracted messages
+     */
+    retract(messageIds) {
+        messageIds.forEach(messageId => {
+            const entry = this.authors.get(this.messageAuthors.get(messageId));
+            if (entry) {
+                entry.messages = entry.messages.filter(m => m.id !== messageId);
+            }
+            this.messageAuthors.delete(messageId);
+        });
+    }
+
+    /**
+     * Everything known about an author this session
+     * @param {string} channelId - Author channel ID
+     * @returns {{author: object, badges: object[], membership: string, messages: object[]}|null} Oldest message first
+     */
+    get(channelId) {
+        return this.authors.get(channelId) || null;
+    }
+
+    /**
+     * Forget all authors (new video)
+     */
+    clear() {
+        this.authors.clear();
+        this.messageAuthors.clear();
+    }
+
+    /**
+     * Membership length from a membership message or a member badge tooltip
+     * @private
+     */
+    _getMembership(message) {
+        if (message.membershipInfo?.duration) return message.membershipInfo.duration;
+        const memberBadge = (message.badges || []).find(badge => badge.type === 'custom' && /member/i.test(badge.label));
+        return memberBadge ? memberBadge.label : '';
+    }
+}
@@ -4,7 +4,8 @@
  */
 
 import { Innertube } from 'youtubei.js/web';
-import { MessageParser } from './MessageParser.js';
+import { MessageParser, ChatEventType, ChatMode, SystemMessageKind } from './MessageParser.js';
+import { ReplayChat } from './ReplayChat.js';
 
 /**
  * Connection states for the chat manager
@@ -13,10 +14,27 @@ export const ConnectionState = {
     DISCONNECTED: 'disconnected',
     CONNECTING: 'connecting',
     CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
     ERROR: 'error',
     ENDED: 'ended'
 };
 
+/**
+ * YouTube's two chat feeds, as accepted by LiveChat.applyFilter()
+ */
+export const ChatFilter = {
+    TOP: 'TOP_CHAT',   // Potential spam filtered out
+    LIVE: 'LIVE_CHAT'  // Every message
+};
+
+/**
+ * Reconnect backoff settings
+ * Delay doubles with each failed attempt up to the cap, with random jitter
+ * so many open tabs don't hammer YouTube at the same moment
+ */
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 60000;
+
 /**
  * ChatManager handles the connection to YouTube live chat
  * and emits parsed messages to subscribers
@@ -26,22 +44,30 @@ export class ChatManager {
         this.innertube = null;
         this.livechat = null;
         this.videoId = null;
+        this.getVideo = null; // Returns the <video> element, used to sync chat replays
+        this.isReplay = false;
         this.connectionState = ConnectionState.DISCONNECTED;
         this.connectionToken = null; // Token to validate active connection attempt
-        this.listeners = {
-            message: [],
-            state: [],
-            error: [],
-            metadata: []
-        };
+        this.reconnectAttempts = 0; // Consecutive failed reconnect attempts
+        this.reconnectTimer = null;
+        this.hadLiveChatError = false; // Current live chat reported an error since its last good poll
+        this.streamInfo = null; // { title, startTime } from the video info
+        this.chatModes = this._createChatModes();
+        this.lastSentAt = 0; // When our last message was sent, for slow mode cooldown
+        this.ownAuthor = null; // { name, channelId } of the signed-in user, known after their first message
+        this.chatFilter = ChatFilter.TOP; // Feed we want; applied once the chat header is known
+        this.filterPending = false; // Waiting for YouTube to reload the chat with the new feed
+        this.listeners = this._createListeners();
         this.parser = new MessageParser();
     }
 
     /**
-     * Connect to a live chat for the given video ID
+     * Connect to a live chat (or chat replay) for the given video ID
      * @param {string} videoId - YouTube video ID
+     * @param {object} [options] - Connection options
+     * @param {Function} [options.getVideo] - Returns the <video> element, needed for chat replays
      */
-    async connect(videoId) {
+    async connect(videoId, options = {}) {
         // Generate new token for this connection attempt
         const myToken = Date.now() + Math.random();
         this.connectionToken = myToken;
@@ -53,71 +79,12 @@ export class ChatManager {
         }
 
         this.videoId = videoId;
+        this.getVideo = options.getVideo || null;
+        this.isReplay = false;
+        this._clearReconnect();
         this._setState(ConnectionState.CONNECTING);
 
-        try {
-            // Initialize Innertube if not already done
-            if (!this.innertube) {
-                // In browser extensions, fetch loses its window context
-                // We need to pass a bound fetch function to avoid "Illegal invocation" error
-                const customFetch = (input, init) => {
-                    // Ensure cookies are sent
-                    const newInit = { ...init, credentials: 'include' };
-                    return window.fetch(input, newInit);
-                };
-
-                const innertubeInstance = await Innertube.create({
-                    retrieve_player: false,
-                    generate_session_locally: true,
-                    fetch: customFetch,
-                    cookie: document.cookie // Explicitly pass cookies so it can generate auth headers
-                });
-
-                // Check if we were cancelled/replaced while awaiting
-                if (this.connectionToken !== myToken) {
-                    return;
-                }
-
-                this.innertube = innertubeInstance;
-            }
-
-            // Get video info to access live chat
-            const info = await this.innertube.getInfo(videoId);
-
-            // Check if we were cancelled/replaced while awaiting
-            if (this.connectionToken !== myToken) {
-                return;
-            }
-
-            // Check if this is a live stream with chat
-            if (!info.livechat) {
-                const error = new Error('This video does not have live chat available');
-                error.code = 'NO_LIVE_CHAT';
-                throw error;
-            }
-
-            // Get the live chat instance
-            this.livechat = info.getLiveChat();
-
-            // Set up event listeners
-            this._setupLiveChatListeners();
-
-            // Start receiving messages
-            this.livechat.start();
-
-            this._setState(ConnectionState.CONNECTED);
-            console.log('ChatOver: Connected to live chat for video', videoId);
-
-        } catch (error) {
-            // Check if we were cancelled - if so, ignore error
-            if (this.connectionToken !== myToken) {
-                return;
-            }
-
-            console.error('ChatOver: Failed to connect to live chat:', error);
-            this._setState(ConnectionState.ERROR);
-            this._emit('error', error);
-        }
+        await this._openLiveChat(myToken);
     }
 
     /**
@@ -127,28 +94,20 @@ export class ChatManager {
         // Invalidate any pending connection
         this.connectionToken = null;
 
-        if (this.livechat) {
-            try {
-                this.livechat.stop();
-            } catch (e) {
-                // Ignore errors stopping
-            }
-            this.livechat = null;
-        }
+        this._clearReconnect();
+        this._stopLiveChat();
 
         // Clear Innertube instance to release youtubei.js resources
         this.innertube = null;
 
         this.videoId = null;
+        this.streamInfo = null;
+        this.chatModes = this._createChatModes();
+        this.lastSentAt = 0;
         this._setState(ConnectionState.DISCONNECTED);
 
         // Clear all listeners to prevent duplicates on reconnection
-        this.listeners = {
-            message: [],
-            state: [],
-            error: [],
-            metadata: []
-        };
+        this.listeners = this._createListeners();
     }
 
     /**
@@ -165,9 +124,21 @@ export class ChatManager {
             return { success: false, error: 'not_connected' };
         }
 
+        if (this.isReplay) {
+            return { success: false, error: 'replay' };
+        }
+
+        // Don't bother YouTube with a message it will reject
+        const cooldown = this.getSlowModeCooldown();
+        if (cooldown > 0) {
+            return { success: false, error: 'slow_mode', retryAfter: cooldown };
+        }
+
         try {
             // Use youtubei.js LiveChat sendMessage method
-            await this.livechat.sendMessage(text.trim());
+            const actions = await this.livechat.sendMessage(text.trim());
+            this.lastSentAt = Date.now();
+            this._rememberOwnAuthor(actions);
             return { success: true };
         } catch (error) {
             console.error('ChatOver: Failed to send message:', error);
@@ -183,6 +154,18 @@ export class ChatManager {
 
             // Generic chat restriction (other permission errors)
             if (errorMsg.includes('not allowed') || errorMsg.includes('permission') || errorMsg.includes('DimChatItemAction')) {
+                // Be specific when we know which mode is blocking us
+                if (this.chatModes.membersOnly) {
+                    return { success: false, error: 'members_only' };
+                }
+                if (this.chatModes.subscribersOnly) {
+                    return { success: false, error: 'subscribers_only' };
+                }
+                if (this.chatModes.slowModeSeconds > 0) {
+                    // We don't know when YouTube last accepted a message, assume just now
+                    this.lastSentAt = Date.now();
+                    return { success: false, error: 'slow_mode', retryAfter: this.chatModes.slowModeSeconds };
+                }
                 return { success: false, error: 'restricted' };
             }
 
@@ -190,9 +173,39 @@ export class ChatManager {
         }
     }
 
+    /**
+     * Vote in a live chat poll
+     * @param {object} choice - Poll choice from a 'poll' event
+     * @returns {Promise<{success: boolean, error?: string}>} Result object with success status and optional error
+     */
+    async votePoll(choice) {
+        if (!choice?.selectEndpoint) {
+            return { success: false, error: 'not_signed_in' };
+        }
+
+        if (!this.livechat || this.connectionState !== ConnectionState.CONNECTED) {
+            return { success: false, error: 'not_connected' };
+        }
+
+        try {
+            // selectButton runs the endpoint with the live chat's authenticated actions
+            await this.livechat.selectButton({ endpoint: choice.selectEndpoint });
+            return { success: true };
+        } catch (error) {
+            console.error('ChatOver: Failed to vote in poll:', error);
+            const errorMsg = error.message || error.toString();
+
+            if (errorMsg.includes('401') || errorMsg.includes('Unauthorized')) {
+                return { success: false, error: 'not_signed_in' };
+            }
+
+            return { success: false, error: 'vote_failed' };
+        }
+    }
+
     /**
      * Subscribe to events
-     * @param {'message' | 'state' | 'error' | 'metadata'} event - Event type
+     * @param {'message' | 'update' | 'remove' | 'banner' | 'banner-remove' | 'poll' | 'poll-close' | 'ticker' | 'mode' | 'state' | 'error' | 'metadata'} event - Event type
      * @param {Function} callback - Callback function
      */
     on(event, callback) {
@@ -203,7 +216,7 @@ export class ChatManager {
 
     /**
      * Unsubscribe from events
-     * @param {'message' | 'state' | 'error' | 'metadata'} event - Event type
+     * @param {'message' | 'update' | 'remove' | 'banner' | 'banner-remove' | 'poll' | 'poll-close' | 'ticker' | 'mode' | 'state' | 'error' | 'metadata'} event - Event type
      * @param {Function} callback - Callback function to remove
      */
     off(event, callback) {
@@ -219,49 +232,374 @@ export class ChatManager {
         return this.connectionState;
     }
 
+    /**
+     * Get the number of consecutive failed reconnect attempts
+     * @returns {number} 0 when connected or not yet retrying
+     */
+    getReconnectAttempts() {
+        return this.reconnectAttempts;
+    }
+
+    /**
+     * Whether the connected chat is a replay of a finished stream or premiere
+     * @returns {boolean}
+     */
+    isChatReplay() {
+        return this.isReplay;
+    }
+
+    /**
+     * Get the selected chat feed
+     * @returns {string} ChatFilter value
+     */
+    getChatFilter() {
+        return this.chatFilter;
+    }
+
+    /**
+     * Switch between Top chat and Live chat without reconnecting
+     * The current chat is reloaded with the new feed, which emits 'filter' and then
+     * the recent messages of that feed
+     * @param {string} filter - ChatFilter value
+     * @returns {boolean} True if the chat is now reloading with the new feed
+     */
+    setChatFilter(filter) {
+        if (filter !== ChatFilter.TOP && filter !== ChatFilter.LIVE) return false;
+        if (filter === this.chatFilter) return this.filterPending;
+
+        this.chatFilter = filter;
+
+        // Not started yet - the filter is applied when the chat header arrives
+        if (!this.livechat?.initial_info) return false;
+
+        this._applyChatFilter();
+        return this.filterPending;
+    }
+
+    /**
+     * Get the active chat modes
+     * @returns {{slowModeSeconds: number, membersOnly: boolean, subscribersOnly: boolean, restriction: string}}
+     */
+    getChatModes() {
+        return { ...this.chatModes };
+    }
+
+    /**
+     * Seconds until slow mode allows another message
+     * @returns {number} 0 if a message can be sent now
+     */
+    getSlowModeCooldown() {
+        if (!this.chatModes.slowModeSeconds || !this.lastSentAt) return 0;
+        const elapsed = (Date.now() - this.lastSentAt) / 1000;
+        return Math.max(0, Math.ceil(this.chatModes.slowModeSeconds - elapsed));
+    }
+
+    /**
+     * Get basic info about the connected stream
+     * @returns {{title: string, startTime: Date|null}|null} Null until connected
+     */
+    getStreamInfo() {
+        return this.streamInfo;
+    }
+
+    /**
+     * The signed-in user, as YouTube echoed them back on a sent message
+     * @returns {{name: string, channelId: string}|null} Null until a message was sent
+     */
+    getOwnAuthor() {
+        return this.ownAuthor;
+    }
+
+    /**
+     * Learn who we are from the chat item YouTube returns for a sent message
+     * @param {object[]} actions - Actions returned by LiveChat.sendMessage()
+     * @private
+     */
+    _rememberOwnAuthor(actions) {
+        const author = Array.isArray(actions) ? actions.find(action => action?.item?.author)?.item.author : null;
+        if (author?.id) {
+            this.ownAuthor = { name: author.name?.toString() || '', channelId: author.id };
+        }
+    }
+
+    /**
+     * Fetch video info and start a fresh live chat instance
+     * Used for the initial connection and whenever the old continuation is dead
+     * @param {number} token - Connection token the attempt belongs to
+     * @private
+     */
+    async _openLiveChat(token) {
+        try {
+            // Initialize Innertube if not already done
+            if (!this.innertube) {
+                // In browser extensions, fetch loses its window context
+                // We need to pass a bound fetch function to avoid "Illegal invocation" error
+                const customFetch = (input, init) => {
+                    // Ensure cookies are sent
+                    const newInit = { ...init, credentials: 'include' };
+                    return window.fetch(input, newInit);
+                };
+
+                const innertubeInstance = await Innertube.create({
+                    retrieve_player: false,
+                    generate_session_locally: true,
+                    fetch: customFetch,
+                    cookie: document.cookie // Explicitly pass cookies so it can generate auth headers
+                });
+
+                // Check if we were cancelled/replaced while awaiting
+                if (this.connectionToken !== token) {
+                    return;
+                }
+
+                this.innertube = innertubeInstance;
+            }
+
+            // Get video info to access live chat
+            const info = await this.innertube.getInfo(this.videoId);
+
+            // Check if we were cancelled/replaced while awaiting
+            if (this.connectionToken !== token) {
+                return;
+            }
+
+            // Check if this is a live stream with chat
+            if (!info.livechat) {
+                const error = new Error('This video does not have live chat available');
+                error.code = 'NO_LIVE_CHAT';
+                throw error;
+            }
+
+            // Chat turned into a replay while we were away - the stream is over
+            if (info.livechat.is_replay && !this.isReplay && this.reconnectAttempts > 0) {
+                this._clearReconnect();
+                this._endStream();
+                return;
+            }
+
+            this.isReplay = info.livechat.is_replay && Boolean(this.getVideo);
+
+            this.streamInfo = {
+                title: info.basic_info?.title || '',
+                // A replay isn't live, so there is no running duration
+                startTime: this.isReplay ? null : (info.basic_info?.start_timestamp || null)
+            };
+
+            // Replays are played back in sync with the video instead of youtubei.js's own timing
+            this.livechat = this.isReplay
+                ? new ReplayChat(this.innertube.actions, info.livechat.continuation, this.getVideo)
+                : info.getLiveChat();
+            this.hadLiveChatError = false;
+
+            // Set up event listeners
+            this._setupLiveChatListeners(this.livechat);
+
+            // Start receiving messages
+            this.livechat.start();
+
+            this._setState(ConnectionState.CONNECTED);
+            console.log(`ChatOver: Connected to ${this.isReplay ? 'chat replay' : 'live chat'} for video`, this.videoId);
+
+        } catch (error) {
+            // Check if we were cancelled - if so, ignore error
+            if (this.connectionToken !== token) {
+                return;
+            }
+
+            console.error('ChatOver: Failed to connect to live chat:', error);
+
+            // No live chat is final, retrying won't change that
+            if (error.code === 'NO_LIVE_CHAT') {
+                this._clearReconnect();
+                this._setState(ConnectionState.ERROR);
+                this._emit('error', error);
+                return;
+            }
+
+            this._emit('error', error);
+            this._scheduleReconnect();
+        }
+    }
+
+    /**
+     * Schedule a full reconnect (getInfo + getLiveChat) with exponential backoff
+     * @private
+     */
+    _scheduleReconnect() {
+        // A reconnect is already pending
+        if (this.reconnectTimer) return;
+
+        const token = this.connectionToken;
+        if (!token) return;
+
+        this.reconnectAttempts++;
+        const delay = this._getReconnectDelay(this.reconnectAttempts);
+        console.log(`ChatOver: Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+
+        this._setState(ConnectionState.RECONNECTING);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.connectionToken !== token) return;
+
+            this._stopLiveChat();
+            this._openLiveChat(token);
+        }, delay);
+    }
+
+    /**
+     * Compute the backoff delay for a reconnect attempt
+     * Uses "equal jitter": half the exponential delay is fixed, the other half random
+     * @param {number} attempt - Attempt number, starting at 1
+     * @returns {number} Delay in milliseconds
+     * @private
+     */
+    _getReconnectDelay(attempt) {
+        const exponential = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+        return exponential / 2 + Math.random() * (exponential / 2);
+    }
+
+    /**
+     * Cancel any pending reconnect and reset the retry counter
+     * @private
+     */
+    _clearReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnectAttempts = 0;
+    }
+
+    /**
+     * Point the live chat at the wanted feed if it isn't already showing it
+     * @private
+     */
+    _applyChatFilter() {
+        const activeFilter = this._getActiveFilter(this.livechat.initial_info);
+        if (!activeFilter || activeFilter === this.chatFilter) {
+            this.filterPending = false;
+            return;
+        }
+
+        try {
+            // The next poll uses the reload continuation of the other feed
+            this.livechat.applyFilter(this.chatFilter);
+            this.livechat.smoothed_queue?.clear();
+            this.filterPending = true;
+        } catch (error) {
+            console.error('ChatOver: Failed to switch chat filter:', error);
+            this.filterPending = false;
+        }
+    }
+
+    /**
+     * Read which feed the chat header has selected
+     * @param {object} initialData - LiveChatContinuation with header
+     * @returns {string|null} ChatFilter value, or null if the chat has no feed selector
+     * @private
+     */
+    _getActiveFilter(initialData) {
+        const items = initialData?.header?.view_selector?.sub_menu_items;
+        if (!items?.length) return null;
+
+        // YouTube always lists Top chat first
+        return items[1]?.selected ? ChatFilter.LIVE : ChatFilter.TOP;
+    }
+
+    /**
+     * Stop and release the current live chat instance
+     * @private
+     */
+    _stopLiveChat() {
+        if (this.livechat) {
+            try {
+                this.livechat.stop();
+            } catch (e) {
+                // Ignore errors stopping
+            }
+            this.livechat = null;
+        }
+        this.filterPending = false;
+    }
+
     /**
      * Set up listeners for the live chat instance
+     * Events from an instance that has since been replaced are ignored
+     * @param {object} livechat - youtubei.js LiveChat instance
      * @private
      */
-    _setupLiveChatListeners() {
+    _setupLiveChatListeners(livechat) {
+        const isCurrent = () => this.livechat === livechat;
+        let hasStarted = false;
+
         // Handle initial chat data (pinned messages, viewer info)
-        this.livechat.on('start', () => {
-            // Initial data received
+        livechat.on('start', (initialData) => {
+            if (!isCurrent()) return;
+
+            // The continuation works again, so the backoff starts over
+            this.reconnectAttempts = 0;
+            this.hadLiveChatError = false;
+
+            // A second 'start' is the chat reloading (other feed, or a seek in a replay)
+            const isReload = hasStarted;
+            hasStarted = true;
+            this.filterPending = false;
+            this._emit('filter', {
+                filter: this._getActiveFilter(initialData), // null for chats without Top/Live feeds
+                isReload
+            });
+
+            if (isReload) {
+                // Listeners cleared their messages on 'filter', repopulate with the recent ones
+                initialData?.actions?.forEach(action => this._handleChatAction(action));
+            } else {
+                // Initial actions carry state that is already active (e.g. the current pinned message)
+                initialData?.actions?.forEach(action => this._handleChatEvent(action));
+            }
+
+            // Remembered feed differs from YouTube's default
+            this._applyChatFilter();
+
+            // A restriction panel replaces the input when we can't chat (members-only etc.)
+            const restriction = this.parser.parseRestriction(initialData?.action_panel);
+            this.chatModes.restriction = restriction?.text || '';
+            if (restriction?.mode) {
+                this._applyModeChange(restriction);
+            } else {
+                this._emit(ChatEventType.MODE, this.getChatModes());
+            }
         });
 
         // Handle new chat messages/actions
-        this.livechat.on('chat-update', (action) => {
+        livechat.on('chat-update', (action) => {
+            if (!isCurrent()) return;
+            this._handlePollSuccess();
+
+            // Still on the old feed; an in-flight poll can overwrite the filter continuation
+            if (this.filterPending) {
+                this._applyChatFilter();
+                return;
+            }
+
             this._handleChatAction(action);
         });
 
-        // Handle metadata updates (views, likes)
-        this.livechat.on('metadata-update', (metadata) => {
-            this._emit('metadata', metadata);
+        // Handle metadata updates (views, likes, title)
+        livechat.on('metadata-update', (metadata) => {
+            if (!isCurrent()) return;
+            this._handlePollSuccess();
+            this._emit('metadata', this.parser.parseMetadata(metadata));
         });
 
         // Handle errors
-        this.livechat.on('error', (error) => {
+        livechat.on('error', (error) => {
+            if (!isCurrent()) return;
+
             console.error('ChatOver: Live chat error:', error);
 
             const errorMsg = error?.message || error?.toString() || '';
 
-            // Handle transient network errors (like Failed to fetch)
-            if (errorMsg.includes('Failed to fetch') || errorMsg.includes('NetworkError')) {
-
-                // Don't change state to ERROR, keep it as CONNECTED but maybe show a warning?
-                // We'll just try to restart the polling if it stopped
-                setTimeout(() => {
-                    if (this.connectionState !== ConnectionState.DISCONNECTED) {
-                        try {
-                            this.livechat.start();
-                        } catch (e) {
-                            console.error('ChatOver: Failed to restart chat:', e);
-                        }
-                    }
-                }, 2000);
-                return;
-            }
-
             // Ignore send-related errors - these happen when user can't send (subscribers-only, etc.)
             // These are NOT connection errors and should not trigger reconnection or error UI
             if (errorMsg.includes('DimChatItemAction') ||
@@ -271,16 +609,65 @@ export class ChatManager {
                 return;
             }
 
-            this._setState(ConnectionState.ERROR);
-            this._emit('error', error);
+            // youtubei.js keeps retrying the same continuation on its own for a while;
+            // if it gives up it emits 'end' and we rebuild the chat from scratch
+            this.hadLiveChatError = true;
+
+            // Transient network errors usually clear on the next poll, so the input stays usable
+            if (errorMsg.includes('Failed to fetch') || errorMsg.includes('NetworkError')) {
+                return;
+            }
+
+            if (this.connectionState === ConnectionState.CONNECTED) {
+                this._setState(ConnectionState.RECONNECTING);
+            }
         });
 
         // Handle stream end
-        this.livechat.on('end', () => {
-            this._setState(ConnectionState.ENDED);
+        livechat.on('end', () => {
+            if (!isCurrent()) return;
+
+            // An 'end' after errors means the continuation is dead, not that the stream ended
+            if (this.hadLiveChatError || this.reconnectTimer) {
+                this._scheduleReconnect();
+                return;
+            }
+
+            this._endStream();
         });
     }
 
+    /**
+     * Mark the stream as ended and post a notice in chat
+     * @private
+     */
+    _endStream() {
+        this._setState(ConnectionState.ENDED);
+        this._emit('message', this.parser.createSystemMessage(SystemMessageKind.STREAM_ENDED, 'Live chat ended'));
+    }
+
+    /**
+     * Create an empty listener registry for every supported event
+     * @private
+     */
+    _createListeners() {
+        return {
+            message: [],
+            [ChatEventType.UPDATE]: [],
+            [ChatEventType.REMOVE]: [],
+            [ChatEventType.BANNER]: [],
+            [ChatEventType.BANNER_REMOVE]: [],
+            [ChatEventType.POLL]: [],
+            [ChatEventType.POLL_CLOSE]: [],
+            [ChatEventType.TICKER]: [],
+            [ChatEventType.MODE]: [],
+            state: [],
+            error: [],
+            metadata: [],
+            filter: []
+        };
+    }
+
     /**
      * Handle a chat action from youtubei.js
      * @private
@@ -289,16 +676,78 @@ export class ChatManager {
         // Parse the action into our normalized message format
         const message = this.parser.parseAction(action);
 
-        if (message) {
-            // If we're receiving messages but state is ERROR, we've recovered
-            // Re-emit CONNECTED to re-enable the input field
-            if (this.connectionState === ConnectionState.ERROR) {
-                console.log('ChatOver: Connection recovered, re-enabling input');
-                this._setState(ConnectionState.CONNECTED);
-            }
+        // Actions may carry an event as well as (or instead of) a message
+        this._handleChatEvent(action);
+
+        if (!message) {
+            return;
+        }
 
-            this._emit('message', message);
+        this._emit('message', message);
+    }
+
+    /**
+     * A poll came back: the continuation works, so a later 'end' is a real end of stream.
+     * After errors, re-emit CONNECTED to re-enable the input field
+     * @private
+     */
+    _handlePollSuccess() {
+        this.hadLiveChatError = false;
+        if (this.connectionState === ConnectionState.ERROR ||
+            this.connectionState === ConnectionState.RECONNECTING) {
+            console.log('ChatOver: Connection recovered, re-enabling input');
+            this._clearReconnect();
+            this._setState(ConnectionState.CONNECTED);
+        }
+    }
+
+    /**
+     * Parse a non-message action and emit it under its event name
+     * @private
+     */
+    _handleChatEvent(action) {
+        const event = this.parser.parseEvent(action);
+        if (!event) return;
+
+        // Mode changes update our state first, listeners get the full set of modes
+        if (event.type === ChatEventType.MODE) {
+            this._applyModeChange(event.data);
+            return;
+        }
+
+        this._emit(event.type, event.data);
+    }
+
+    /**
+     * Create the default (unrestricted) chat mode state
+     * @private
+     */
+    _createChatModes() {
+        return {
+            slowModeSeconds: 0,
+            membersOnly: false,
+            subscribersOnly: false,
+            restriction: ''
+        };
+    }
+
+    /**
+     * Apply a parsed mode change and notify listeners
+     * @private
+     */
+    _applyModeChange(change) {
+        switch (change.mode) {
+            case ChatMode.SLOW:
+                this.chatModes.slowModeSeconds = change.enabled ? change.seconds : 0;
+                break;
+            case ChatMode.MEMBERS_ONLY:
+                this.chatModes.membersOnly = change.enabled;
+                break;
+            case ChatMode.SUBSCRIBERS_ONLY:
+                this.chatModes.subscribersOnly = change.enabled;
+                break;
         }
+        this._emit(ChatEventType.MODE, this.getChatModes());
     }
 
     /**
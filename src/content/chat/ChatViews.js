@@ -0,0 +1,263 @@
+/**
+ * ChatViews - Tab bar switching between filtered views of the chat
+ */
+
+import { MessageType, getPlainText } from './MessageParser.js';
+import { MessageRenderer } from './MessageRenderer.js';
+import { getSetting } from '../settings/SettingsManager.js';
+
+/**
+ * Available views
+ */
+export const ChatView = {
+    ALL: 'all',
+    PAID: 'paid',         // Super Chats and Super Stickers
+    MEMBERS: 'members',   // New members, milestones and gifted memberships
+    MENTIONS: 'mentions', // Messages mentioning or replying to the user
+    MODS: 'mods'          // Owner and moderators
+};
+
+/**
+ * Tab labels, in tab bar order
+ */
+const VIEW_LABELS = [
+    [ChatView.ALL, 'All'],
+    [ChatView.PAID, 'Super Chats'],
+    [ChatView.MEMBERS, 'Members'],
+    [ChatView.MENTIONS, 'Mentions'],
+    [ChatView.MODS, 'Mods']
+];
+
+const MEMBER_TYPES = new Set([MessageType.MEMBERSHIP, MessageType.GIFT_PURCHASE, MessageType.GIFT_REDEMPTION]);
+
+/**
+ * Unread counts above this are shown as "99+"
+ */
+const MAX_UNREAD_SHOWN = 99;
+
+/**
+ * ChatViews keeps every shown message in one store and derives the views from it.
+ * The "All" view is the overlay's main renderer; the others get their own renderer
+ * (so their own scroll position) the first time their tab is opened, filled from the store.
+ * Inactive views stay laid out but invisible, which keeps their scroll position.
+ */
+export class ChatViews {
+    /**
+     * @param {HTMLElement} tabBar - Element the tabs are rendered into
+     * @param {MessageRenderer} mainRenderer - Renderer of the main message list (the "All" view)
+     * @param {object} options - View options
+     * @param {Function} options.getOwnNames - Returns the names that count as mentioning the user
+     * @param {Function} [options.getOwnChannelId] - Returns the user's channel ID, for replies to them
+     * @param {object} [options.rendererOptions] - Extra options for the views' renderers (click handlers)
+     */
+    constructor(tabBar, mainRenderer, options) {
+        this.tabBar = tabBar;
+        this.mainRenderer = mainRenderer;
+        this.getOwnNames = options.getOwnNames;
+        this.getOwnChannelId = options.getOwnChannelId || (() => null);
+        this.rendererOptions = options.rendererOptions || {};
+
+        this.store = []; // Shown messages, oldest first, capped at maxMessages
+        this.renderers = new Map([[ChatView.ALL, mainRenderer]]);
+        this.unread = new Map(VIEW_LABELS.map(([view]) => [view, new Set()])); // view -> IDs added since it was last open
+        this.active = ChatView.ALL;
+
+        this._renderTabs();
+        this._clickHandler = (e) => {
+            const tab = e.target.closest('.chatover-tab');
+            if (tab) {
+                this.setActive(tab.dataset.view);
+            }
+        };
+        this.tabBar.addEventListener('click', this._clickHandler);
+    }
+
+    /**
+     * Add a message to the store and every view it belongs to
+     * @param {object} message - Normalized message object (after filter rules)
+     */
+    addMessage(message) {
+        this.store.push(message);
+        // Loop, the cap may have been lowered since the last message
+        while (this.store.length > getSetting('maxMessages')) {
+            this._forgetUnread(this.store.shift());
+        }
+
+        this.unread.forEach((ids, view) => {
+            if (!this._matches(view, message)) return;
+            this.renderers.get(view)?.addMessage(message);
+            if (view !== this.active) {
+                ids.add(message.id);
+            }
+        });
+        this._updateUnread();
+    }
+
+    /**
+     * Replace a message in the store (the renderers are updated by the caller)
+     * @param {string} messageId - ID of the message being replaced
+     * @param {object} message - New normalized message object
+     */
+    updateMessage(messageId, message) {
+        const index = this.store.findIndex(m => m.id === messageId);
+        if (index !== -1) {
+            this.store[index] = message;
+        }
+    }
+
+    /**
+     * Drop messages from the store (deleted, retracted or hidden)
+     * @param {Function} predicate - Returns true for messages to drop
+     */
+    dropMessages(predicate) {
+        this.store = this.store.filter(m => {
+            if (!predicate(m)) return true;
+            this._forgetUnread(m);
+            return false;
+        });
+        this._updateUnread();
+    }
+
+    /**
+     * Every renderer currently showing a view, starting with the main one
+     * @returns {MessageRenderer[]}
+     */
+    getRenderers() {
+        return Array.from(this.renderers.values());
+    }
+
+    /**
+     * Switch to a view
+     * @param {string} view - ChatView value
+     */
+    setActive(view) {
+        if (!this.unread.has(view)) return;
+
+        this.active = view;
+        if (!this.renderers.has(view)) {
+            this._createRenderer(view);
+        }
+        this.renderers.forEach((renderer, v) => renderer.container.classList.toggle('chatover-view-inactive', v !== view));
+
+        this.unread.get(view).clear();
+        this.tabBar.querySelectorAll('.chatover-tab').forEach(tab => {
+            tab.classList.toggle('chatover-tab-active', tab.dataset.view === view);
+        });
+        this._updateUnread();
+    }
+
+    /**
+     * Forget all messages (chat feed reloaded)
+     */
+    clear() {
+        this.store = [];
+        this.renderers.forEach((renderer, view) => {
+            if (view !== ChatView.ALL) renderer.clear();
+        });
+        this.unread.forEach(ids => ids.clear());
+        this._updateUnread();
+    }
+
+    /**
+     * Destroy the views' own renderers and the tab bar (the main renderer is left alone)
+     */
+    destroy() {
+        this.renderers.forEach((renderer, view) => {
+            if (view === ChatView.ALL) return;
+            renderer.destroy();
+            renderer.container.remove();
+        });
+        this.renderers.clear();
+        this.store = [];
+        this.tabBar.removeEventListener('click', this._clickHandler);
+        this.tabBar.innerHTML = '';
+        this.tabBar = null;
+        this.mainRenderer = null;
+    }
+
+    /**
+     * Build a view's renderer next to the main list and fill it from the store
+     * @private
+     */
+    _createRenderer(view) {
+        const container = document.createElement('div');
+        container.className = 'chatover-messages chatover-view-messages';
+        this.mainRenderer.container.after(container);
+
+        const renderer = new MessageRenderer(container, {
+            maxMessages: getSetting('maxMessages'),
+            timestampFormat: getSetting('timestampFormat'),
+            ...this.rendererOptions
+        });
+        this.store.filter(message => this._matches(view, message)).forEach(message => renderer.addMessage(message));
+
+        this.renderers.set(view, renderer);
+    }
+
+    /**
+     * @private
+     */
+    _matches(view, message) {
+        const author = message.author || {};
+
+        switch (view) {
+            case ChatView.ALL:
+                return true;
+            case ChatView.PAID:
+                return message.type === MessageType.PAID || message.type === MessageType.STICKER;
+            case ChatView.MEMBERS:
+                return MEMBER_TYPES.has(message.type);
+            case ChatView.MENTIONS:
+                return this._isMention(message);
+            case ChatView.MODS:
+                return Boolean(author.isOwner || author.isModerator);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Whether a message @mentions one of the user's names or replies to them
+     * @private
+     */
+    _isMention(message) {
+        if (message.type === MessageType.SYSTEM) return false;
+
+        const ownChannelId = this.getOwnChannelId();
+        if (ownChannelId && message.replyTo?.channelId === ownChannelId) return true;
+
+        const text = getPlainText(message.message).toLowerCase();
+        return this.getOwnNames().some(name => text.includes(`@${name.toLowerCase()}`));
+    }
+
+    /**
+     * Stop counting a message that left the store as unread
+     * @private
+     */
+    _forgetUnread(message) {
+        this.unread.forEach(ids => ids.delete(message.id));
+    }
+
+    /**
+     * @private
+     */
+    _renderTabs() {
+        this.tabBar.innerHTML = VIEW_LABELS.map(([view, label]) => `
+            <button class="chatover-tab ${view === this.active ? 'chatover-tab-active' : ''}" data-view="${view}">
+                ${label}<span class="chatover-tab-unread" hidden></span>
+            </button>
+        `).join('');
+    }
+
+    /**
+     * @private
+     */
+    _updateUnread() {
+        this.tabBar.querySelectorAll('.chatover-tab').forEach(tab => {
+            const count = this.unread.get(tab.dataset.view)?.size || 0;
+            const badge = tab.querySelector('.chatover-tab-unread');
+            badge.hidden = count === 0;
+            badge.textContent = count > MAX_UNREAD_SHOWN ? `${MAX_UNREAD_SHOWN}+` : String(count);
+        });
+    }
+}
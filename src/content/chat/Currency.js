@@ -0,0 +1,186 @@
+/**
+ * Currency - Super Chat amount parsing and offline currency conversion
+ */
+
+import { getSetting } from '../settings/SettingsManager.js';
+
+/**
+ * Units per 1 USD. Approximate and bundled so conversion never needs the network;
+ * users can correct them in the settings panel (currencyRates setting).
+ */
+export const DEFAULT_RATES = {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    JPY: 150,
+    KRW: 1350,
+    CNY: 7.2,
+    TWD: 32,
+    HKD: 7.8,
+    SGD: 1.35,
+    MYR: 4.7,
+    IDR: 15800,
+    PHP: 56,
+    THB: 36,
+    VND: 25000,
+    INR: 83,
+    AUD: 1.52,
+    NZD: 1.65,
+    CAD: 1.36,
+    MXN: 17.5,
+    BRL: 5.0,
+    ARS: 900,
+    CLP: 950,
+    COP: 4000,
+    PEN: 3.75,
+    CHF: 0.88,
+    SEK: 10.5,
+    NOK: 10.7,
+    DKK: 6.9,
+    PLN: 4.0,
+    CZK: 23,
+    HUF: 360,
+    RON: 4.6,
+    TRY: 32,
+    RUB: 92,
+    UAH: 39,
+    ILS: 3.7,
+    SAR: 3.75,
+    AED: 3.67,
+    ZAR: 18.5
+};
+
+/**
+ * Currency symbols as YouTube shows them, longest first so "CA$" wins over "$"
+ */
+const SYMBOLS = [
+    ['CA$', 'CAD'],
+    ['NZ$', 'NZD'],
+    ['MX$', 'MXN'],
+    ['HK$', 'HKD'],
+    ['NT$', 'TWD'],
+    ['US$', 'USD'],
+    ['CN¥', 'CNY'],
+    ['A$', 'AUD'],
+    ['R$', 'BRL'],
+    ['RM', 'MYR'],
+    ['Rp', 'IDR'],
+    ['zł', 'PLN'],
+    ['Kč', 'CZK'],
+    ['$', 'USD'],
+    ['€', 'EUR'],
+    ['£', 'GBP'],
+    ['¥', 'JPY'],
+    ['￥', 'JPY'],
+    ['₩', 'KRW'],
+    ['₹', 'INR'],
+    ['₱', 'PHP'],
+    ['₫', 'VND'],
+    ['₪', 'ILS'],
+    ['₺', 'TRY'],
+    ['₽', 'RUB'],
+    ['₴', 'UAH'],
+    ['฿', 'THB'],
+    ['R', 'ZAR']
+];
+
+/**
+ * Parse a display amount like "¥1,000", "CA$5.00" or "PLN 20,00"
+ * @param {string} display - Amount text from YouTube
+ * @returns {{currency: string|null, value: number|null, display: string}} Unknown parts are null
+ */
+export function parseAmount(display) {
+    const text = String(display || '').trim();
+    const match = text.match(/\d[\d.,\s]*/);
+    if (!match) {
+        return { currency: null, value: null, display: text };
+    }
+
+    const token = (text.slice(0, match.index) + text.slice(match.index + match[0].length)).trim();
+    return {
+        currency: resolveCurrency(token),
+        value: parseNumber(match[0]),
+        display: text
+    };
+}
+
+/**
+ * Current rate table: bundled rates with the user's edits on top
+ * @returns {Object<string, number>} Units per 1 USD by currency code
+ */
+export function getRates() {
+    return { ...DEFAULT_RATES, ...(getSetting('currencyRates') || {}) };
+}
+
+/**
+ * Convert between currencies with the current rate table
+ * @param {number} value - Amount in the source currency
+ * @param {string} from - Source currency code
+ * @param {string} to - Target currency code
+ * @returns {number|null} Converted amount, or null if either rate is unknown
+ */
+export function convert(value, from, to) {
+    if (value === null || !from || !to) return null;
+    if (from === to) return value;
+
+    const rates = getRates();
+    if (!rates[from] || !rates[to]) return null;
+    return value / rates[from] * rates[to];
+}
+
+/**
+ * Format an amount in a currency for the user's locale
+ * @param {number} value - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount
+ */
+export function formatAmount(value, currency) {
+    try {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(value);
+    } catch {
+        return `${value.toFixed(2)} ${currency}`;
+    }
+}
+
+/**
+ * Currency code for a symbol or ISO code next to an amount
+ * @private
+ */
+function resolveCurrency(token) {
+    if (!token) return null;
+
+    const code = token.toUpperCase();
+    if (/^[A-Z]{3}$/.test(code)) return code;
+
+    const symbol = SYMBOLS.find(([sign]) => token === sign) || SYMBOLS.find(([sign]) => token.includes(sign));
+    return symbol ? symbol[1] : null;
+}
+
+/**
+ * Parse a number written with either "," or "." as the decimal separator
+ * A single separator followed by exactly three digits is a thousands separator ("1,000", "1.000")
+ * @private
+ */
+function parseNumber(text) {
+    const digits = text.replace(/\s/g, '');
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+
+    let decimalSeparator = null;
+    if (lastComma !== -1 && lastDot !== -1) {
+        decimalSeparator = lastComma > lastDot ? ',' : '.';
+    } else if (lastComma !== -1 || lastDot !== -1) {
+        const separator = lastComma !== -1 ? ',' : '.';
+        const isSingle = digits.indexOf(separator) === digits.lastIndexOf(separator);
+        const decimals = digits.length - digits.lastIndexOf(separator) - 1;
+        if (isSingle && decimals !== 3) {
+            decimalSeparator = separator;
+        }
+    }
+
+    const normalized = decimalSeparator
+        ? digits.split(decimalSeparator).map(part => part.replace(/[.,]/g, '')).join('.')
+        : digits.replace(/[.,]/g, '');
+    const value = parseFloat(normalized);
+    return isNaN(value) ? null : value;
+}
@@ -0,0 +1,300 @@
+/**
+ * DanmakuLayer - Scrolling comments flying across the video player
+ */
+
+import { MessageType } from './MessageParser.js';
+import { getSetting, getUserOverride } from '../settings/SettingsManager.js';
+
+/**
+ * Lane height relative to the font size
+ */
+const LANE_HEIGHT_RATIO = 1.4;
+
+/**
+ * Horizontal space kept between comments following each other in a lane
+ */
+const LANE_GAP_PX = 24;
+
+/**
+ * Paid messages stay fixed at the top for this long
+ */
+const FIXED_DURATION_MS = 8000;
+
+/**
+ * Most fixed messages shown at once (older ones make room for newer ones);
+ * the top rows are theirs, scrolling lanes start below them
+ */
+const MAX_FIXED_COMMENTS = 3;
+
+/**
+ * Message types pinned to the top instead of flying across
+ */
+const FIXED_TYPES = new Set([
+    MessageType.PAID,
+    MessageType.STICKER,
+    MessageType.MEMBERSHIP,
+    MessageType.GIFT_PURCHASE
+]);
+
+/**
+ * DanmakuLayer flies messages from right to left in lanes over the player, like Niconico.
+ * Every comment takes the same time to cross, so longer comments move faster; a lane only
+ * takes a new comment once it can't catch up with the previous one. Comments that find no
+ * free lane, or arrive while the density cap is reached, are dropped.
+ */
+export class DanmakuLayer {
+    /**
+     * @param {HTMLElement} container - The video player element the layer covers
+     * @param {object} options - Layer options
+     * @param {Function} options.renderContent - Renders message content (text runs, emotes) to HTML
+     */
+    constructor(container, options) {
+        this.renderContent = options.renderContent;
+
+        this.element = document.createElement('div');
+        this.element.className = 'chatover-danmaku';
+        container.appendChild(this.element);
+
+        this.enabled = false;
+        this.lanes = []; // Last scrolling comment per lane: { startedAt, endsAt, width, speed }
+        this.comments = []; // { message, element, animation, fixed, slot }
+    }
+
+    /**
+     * Show or hide the layer (hiding drops comments in flight)
+     * @param {boolean} enabled - Whether danmaku mode is active
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        this.element.classList.toggle('chatover-danmaku-active', this.enabled);
+        if (!this.enabled) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Fly a message across the player
+     * @param {object} message - Normalized message object from MessageParser
+     */
+    addMessage(message) {
+        if (!this.enabled || !message || message.type === MessageType.SYSTEM) return;
+        if (getUserOverride(message.author?.channelId)?.blocked) return;
+
+        // Nothing to fly across while the player (or the overlay with it) is hidden
+        const width = this.element.clientWidth;
+        const height = this.element.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        if (FIXED_TYPES.has(message.type)) {
+            this._addFixed(message);
+            return;
+        }
+
+        if (this.comments.filter(comment => !comment.fixed).length >= getSetting('danmakuMaxComments')) return;
+
+        const el = this._createCommentElement(message);
+        el.style.left = `${width}px`;
+        this.element.appendChild(el);
+
+        const durationMs = getSetting('danmakuDuration') * 1000;
+        const commentWidth = el.offsetWidth;
+        const speed = (width + commentWidth) / durationMs; // px per ms
+        const now = performance.now();
+
+        const laneIndex = this._findLane(now, width, speed, height);
+        if (laneIndex === -1) {
+            el.remove();
+            return;
+        }
+
+        this.lanes[laneIndex] = { startedAt: now, endsAt: now + durationMs, width: commentWidth, speed };
+        el.style.top = `${(MAX_FIXED_COMMENTS + laneIndex) * this._getLaneHeight()}px`;
+
+        const animation = el.animate(
+            [{ transform: 'translateX(0)' }, { transform: `translateX(${-(width + commentWidth)}px)` }],
+            { duration: durationMs, easing: 'linear' }
+        );
+        this._track({ message, element: el, animation, fixed: false });
+    }
+
+    /**
+     * Drop deleted messages that are still on screen
+     * @param {object} removal - Removal event from MessageParser
+     */
+    removeMessages(removal) {
+        this._removeWhere(comment => (removal.messageId && comment.message.id === removal.messageId) ||
+            (removal.channelId && comment.message.author?.channelId === removal.channelId));
+    }
+
+    /**
+     * Drop comments from a user who was just blocked
+     * @param {string} channelId - Author channel ID
+     */
+    removeAuthor(channelId) {
+        this._removeWhere(comment => comment.message.author?.channelId === channelId);
+    }
+
+    /**
+     * Drop messages taken back by a rewind
+     * @param {string[]} messageIds - IDs of the retracted messages
+     */
+    retractMessages(messageIds) {
+        const ids = new Set(messageIds);
+        this._removeWhere(comment => ids.has(comment.message.id));
+    }
+
+    /**
+     * Remove all comments on screen
+     */
+    clear() {
+        this.comments.forEach(comment => {
+            comment.animation.cancel();
+            comment.element.remove();
+        });
+        this.comments = [];
+        this.lanes = [];
+    }
+
+    /**
+     * Destroy the layer and remove it from the player
+     */
+    destroy() {
+        this.clear();
+        this.element.remove();
+        this.renderContent = null;
+    }
+
+    /**
+     * Pin a paid message to the top for a while
+     * @private
+     */
+    _addFixed(message) {
+        let fixed = this.comments.filter(comment => comment.fixed);
+        if (fixed.length >= MAX_FIXED_COMMENTS) {
+            this._removeWhere(comment => comment === fixed[0]);
+            fixed = fixed.slice(1);
+        }
+
+        const el = this._createCommentElement(message);
+        el.classList.add('chatover-danmaku-fixed');
+        if (message.paidInfo?.color) {
+            el.style.backgroundColor = message.paidInfo.color;
+        }
+        this.element.appendChild(el);
+
+        // Takes the topmost row no other fixed message is showing in
+        const usedSlots = new Set(fixed.map(comment => comment.slot));
+        let slot = 0;
+        while (usedSlots.has(slot)) slot++;
+        el.style.top = `${slot * this._getLaneHeight()}px`;
+
+        const animation = el.animate(
+            [{ opacity: 1 }, { opacity: 1, offset: 0.9 }, { opacity: 0 }],
+            { duration: FIXED_DURATION_MS }
+        );
+        this._track({ message, element: el, animation, fixed: true, slot });
+    }
+
+    /**
+     * Find the topmost lane a comment can enter now without overlapping the one ahead of it
+     * @private
+     * @returns {number} Lane index, or -1 if every lane is busy
+     */
+    _findLane(now, width, speed, height) {
+        const rowCount = Math.floor((height * getSetting('danmakuArea') / 100) / this._getLaneHeight());
+        const laneCount = Math.max(1, rowCount - MAX_FIXED_COMMENTS);
+
+        for (let i = 0; i < laneCount; i++) {
+            const previous = this.lanes[i];
+            if (!previous) return i;
+
+            // The previous comment's tail (plus a gap) has to be on screen already...
+            const tailInAt = previous.startedAt + (previous.width + LANE_GAP_PX) / previous.speed;
+            // ...and it has to leave the left edge before this one gets there
+            const catchUpAt = previous.endsAt - width / speed;
+
+            if (now >= tailInAt && now >= catchUpAt) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Keep a comment until its animation ends
+     * @private
+     */
+    _track(comment) {
+        this.comments.push(comment);
+        comment.animation.onfinish = () => {
+            comment.element.remove();
+            this.comments = this.comments.filter(c => c !== comment);
+        };
+    }
+
+    /**
+     * @private
+     */
+    _removeWhere(predicate) {
+        this.comments = this.comments.filter(comment => {
+            if (!predicate(comment)) return true;
+            comment.animation.cancel();
+            comment.element.remove();
+            return false;
+        });
+    }
+
+    /**
+     * Build a comment: author for paid messages, then the message with emotes, colored by role
+     * @private
+     */
+    _createCommentElement(message) {
+        const el = document.createElement('div');
+        el.className = 'chatover-danmaku-comment';
+        el.style.fontSize = `${getSetting('danmakuFontSize')}px`;
+        el.style.color = this._getRoleColor(message.author);
+
+        const hasContent = message.message &&
+            (message.message.text || (message.message.runs && message.message.runs.length > 0));
+        const content = hasContent ? this.renderContent(message.message) : '';
+
+        // Paid messages and memberships can come without text, show who sent them instead
+        const label = message.paidInfo?.amount?.display || message.membershipInfo?.duration || '';
+        const authorName = getUserOverride(message.author?.channelId)?.nickname || message.author?.name;
+        const prefix = FIXED_TYPES.has(message.type)
+            ? `<span class="chatover-danmaku-author">${this._escapeHtml(authorName)}${label ? ` · ${this._escapeHtml(label)}` : ''}</span>`
+            : '';
+
+        el.innerHTML = `${prefix}${content}`;
+        return el;
+    }
+
+    /**
+     * Text color the user picked for the author, otherwise by their highest role (same priority as the overlay usernames)
+     * @private
+     */
+    _getRoleColor(author) {
+        const override = getUserOverride(author?.channelId);
+        if (override?.color) return override.color;
+        if (author?.isOwner) return getSetting('ownerColor');
+        if (author?.isModerator) return getSetting('moderatorColor');
+        if (author?.isMember) return getSetting('memberColor');
+        return getSetting('messageTextColor');
+    }
+
+    /**
+     * @private
+     */
+    _getLaneHeight() {
+        return getSetting('danmakuFontSize') * LANE_HEIGHT_RATIO;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * LiveSync - Holds live chat back to match a playhead that is behind the live edge
+ */
+
+import { getSetting } from '../settings/SettingsManager.js';
+
+/**
+ * How often the playhead is checked
+ */
+const TICK_INTERVAL_MS = 250;
+
+/**
+ * Differences from the live edge smaller than this are playback jitter, not rewinding
+ */
+const LIVE_EDGE_TOLERANCE_MS = 1500;
+
+/**
+ * A backwards playhead jump bigger than this takes already shown messages back
+ */
+const REWIND_THRESHOLD_MS = 3000;
+
+/**
+ * Limits so hours of rewinding on a busy chat don't eat memory or the DOM
+ */
+const MAX_BUFFERED_MESSAGES = 5000;
+const MAX_RELEASE_BATCH = 100;
+
+/**
+ * LiveSync delays messages by how far the video is behind live, plus the chatDelay setting.
+ * At the live edge with no extra delay, messages pass straight through.
+ */
+export class LiveSync {
+    /**
+     * @param {object} options - Sync options
+     * @param {Function} options.getVideo - Returns the <video> element being played
+     * @param {Function} options.onRelease - Called with each message once it is due
+     * @param {Function} [options.onRetract] - Called with message IDs that are ahead of the playhead again
+     */
+    constructor(options) {
+        this.getVideo = options.getVideo;
+        this.onRelease = options.onRelease;
+        this.onRetract = options.onRetract || null;
+
+        this.pending = []; // Messages not shown yet, oldest first
+        this.released = []; // Shown messages, kept so a rewind can take them back
+        this.liveEdgeGapMs = null; // Smallest playhead-to-edge gap seen, i.e. normal live latency
+        this.lastPlayheadTime = null;
+        this._tickTimer = null;
+    }
+
+    /**
+     * Add an incoming message
+     * @param {object} message - Normalized message object from MessageParser
+     */
+    push(message) {
+        if (!message) return;
+
+        // Keeps watching the playhead from the first message on, so rewinds are noticed
+        this._startTicking();
+
+        const delayMs = this.getDelayMs();
+        if (delayMs === 0 && this.pending.length === 0) {
+            this._release(message);
+            return;
+        }
+
+        this.pending.push(message);
+        if (this.pending.length > MAX_BUFFERED_MESSAGES) {
+            this.pending.shift();
+        }
+    }
+
+    /**
+     * Replace a message that hasn't been shown yet
+     * @param {string} messageId - ID of the message being replaced
+     * @param {object} message - New normalized message object
+     * @returns {boolean} True if the message was still pending
+     */
+    update(messageId, message) {
+        const index = this.pending.findIndex(m => m.id === messageId);
+        if (index === -1) return false;
+        this.pending[index] = message;
+        return true;
+    }
+
+    /**
+     * Drop deleted messages that haven't been shown yet
+     * @param {object} removal - Removal event from MessageParser
+     */
+    remove(removal) {
+        const matches = (m) => (removal.messageId && m.id === removal.messageId) ||
+            (removal.channelId && m.author?.channelId === removal.channelId);
+        this.pending = this.pending.filter(m => !matches(m));
+    }
+
+    /**
+     * Total delay currently applied to chat
+     * @returns {number} Delay in ms (0 at the live edge with no extra delay)
+     */
+    getDelayMs() {
+        const extraDelayMs = (getSetting('chatDelay') || 0) * 1000;
+        return this._getBehindLiveMs() + extraDelayMs;
+    }
+
+    /**
+     * Drop all pending and released messages
+     */
+    clear() {
+        this.pending = [];
+        this.released = [];
+        this.lastPlayheadTime = null;
+        this._stopTicking();
+    }
+
+    /**
+     * Destroy the sync and stop its timer
+     */
+    destroy() {
+        this.clear();
+        this.onRelease = null;
+        this.onRetract = null;
+    }
+
+    /**
+     * Release due messages and take back ones the playhead moved before
+     * @private
+     */
+    _tick() {
+        const playheadTime = Date.now() - this.getDelayMs();
+
+        // Rewound in the DVR window - messages shown since then would be spoilers
+        if (this.lastPlayheadTime !== null && playheadTime < this.lastPlayheadTime - REWIND_THRESHOLD_MS) {
+            this._retractAfter(playheadTime);
+        }
+        this.lastPlayheadTime = playheadTime;
+
+        let dueCount = 0;
+        while (dueCount < this.pending.length && this._getTime(this.pending[dueCount]) <= playheadTime) {
+            dueCount++;
+        }
+
+        // Jumping back to live releases everything at once; only the newest would stay on screen anyway
+        const due = this.pending.splice(0, dueCount).slice(-MAX_RELEASE_BATCH);
+        due.forEach(message => this._release(message));
+    }
+
+    /**
+     * Move shown messages newer than the playhead back into the pending list
+     * @private
+     */
+    _retractAfter(playheadTime) {
+        const index = this.released.findIndex(m => this._getTime(m) > playheadTime);
+        if (index === -1) return;
+
+        const retracted = this.released.splice(index);
+        this.pending = retracted.concat(this.pending);
+
+        if (this.onRetract) {
+            this.onRetract(retracted.map(m => m.id));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _release(message) {
+        this.released.push(message);
+        if (this.released.length > MAX_BUFFERED_MESSAGES) {
+            this.released.shift();
+        }
+        if (this.onRelease) {
+            this.onRelease(message);
+        }
+    }
+
+    /**
+     * How far the playhead is behind the live edge
+     * @private
+     */
+    _getBehindLiveMs() {
+        const video = this.getVideo?.();
+        if (!video || !video.seekable || video.seekable.length === 0) return 0;
+
+        const edgeSeconds = video.seekable.end(video.seekable.length - 1);
+        const gapMs = Math.max(0, (edgeSeconds - video.currentTime) * 1000);
+        if (!isFinite(gapMs)) return 0;
+
+        // Even "live" playback sits a little behind the edge of the seekable range
+        if (this.liveEdgeGapMs === null || gapMs < this.liveEdgeGapMs) {
+            this.liveEdgeGapMs = gapMs;
+        }
+
+        const behindMs = gapMs - this.liveEdgeGapMs;
+        return behindMs > LIVE_EDGE_TOLERANCE_MS ? behindMs : 0;
+    }
+
+    /**
+     * @private
+     */
+    _getTime(message) {
+        return message.timestamp instanceof Date ? message.timestamp.getTime() : Date.now();
+    }
+
+    /**
+     * @private
+     */
+    _startTicking() {
+        if (this._tickTimer) return;
+        this._tickTimer = setInterval(() => this._tick(), TICK_INTERVAL_MS);
+    }
+
+    /**
+     * @private
+     */
+    _stopTicking() {
+        if (this._tickTimer) {
+            clearInterval(this._tickTimer);
+            this._tickTimer = null;
+        }
+    }
+}
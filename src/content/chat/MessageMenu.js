@@ -0,0 +1,158 @@
+/**
+ * MessageMenu - Right-click / long-press menu on chat messages
+ */
+
+import { MessageType, getPlainText } from './MessageParser.js';
+import { getUserOverride, setUserOverride } from '../settings/SettingsManager.js';
+
+/**
+ * MessageMenu lists copy / mention / reply / hide actions for one message.
+ * Copying and hiding the user are handled here; everything that touches the
+ * input or the message list is passed back through the callbacks.
+ */
+export class MessageMenu {
+    /**
+     * @param {HTMLElement} container - Element the menu is positioned in (the overlay)
+     * @param {object} options - Menu options
+     * @param {Function} options.onMention - Called with the author to @mention in the input
+     * @param {Function} options.onReply - Called with the message being replied to
+     * @param {Function} options.onHide - Called with the message to hide for this session
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.onMention = options.onMention;
+        this.onReply = options.onReply;
+        this.onHide = options.onHide;
+        this.element = null;
+
+        this._outsideClickHandler = (e) => {
+            if (this.element && !this.element.contains(e.target)) {
+                this.close();
+            }
+        };
+        this._keyHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * Open the menu for a message
+     * @param {object} message - Normalized message object from MessageParser
+     * @param {{clientX: number, clientY: number}} event - Where the menu was asked for
+     */
+    open(message, event) {
+        if (!this.container || !message || message.type === MessageType.SYSTEM) return;
+
+        this.close();
+        this.element = this._createElement(message);
+        this.container.appendChild(this.element);
+        this._position(event);
+
+        // Registered after the opening event has finished bubbling
+        setTimeout(() => {
+            document.addEventListener('mousedown', this._outsideClickHandler, true);
+            document.addEventListener('keydown', this._keyHandler, true);
+        }, 0);
+    }
+
+    /**
+     * Close the menu
+     */
+    close() {
+        document.removeEventListener('mousedown', this._outsideClickHandler, true);
+        document.removeEventListener('keydown', this._keyHandler, true);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    /**
+     * Destroy the menu
+     */
+    destroy() {
+        this.close();
+        this.container = null;
+        this.onMention = null;
+        this.onReply = null;
+        this.onHide = null;
+    }
+
+    /**
+     * Build the menu DOM; each item runs its action and closes the menu
+     * @private
+     */
+    _createElement(message) {
+        const text = getPlainText(message.message);
+        const author = message.author || {};
+        const actions = [
+            { label: 'Copy text', disabled: !text, run: () => this._copy(text) },
+            { label: 'Copy author name', disabled: !author.name, run: () => this._copy(author.name) },
+            { label: 'Mention', disabled: !author.name, run: () => this.onMention?.(author) },
+            {
+                label: 'Reply',
+                title: 'Starts your message with @name (it isn\'t linked to this message on YouTube)',
+                disabled: !author.name,
+                run: () => this.onReply?.(message)
+            },
+            { label: 'Hide message', run: () => this.onHide?.(message) },
+            {
+                label: 'Hide user',
+                disabled: !author.channelId,
+                danger: true,
+                run: () => setUserOverride(author.channelId, {
+                    ...getUserOverride(author.channelId),
+                    name: author.name,
+                    blocked: true
+                })
+            }
+        ];
+
+        const el = document.createElement('div');
+        el.className = 'chatover-message-menu';
+        actions.forEach(action => {
+            const button = document.createElement('button');
+            button.className = `chatover-message-menu-item${action.danger ? ' chatover-message-menu-danger' : ''}`;
+            button.textContent = action.label;
+            if (action.title) {
+                button.title = action.title;
+            }
+            button.disabled = Boolean(action.disabled);
+            button.addEventListener('click', () => {
+                this.close();
+                action.run();
+            });
+            el.appendChild(button);
+        });
+
+        return el;
+    }
+
+    /**
+     * @private
+     */
+    async _copy(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            console.error('ChatOver: Failed to copy to clipboard:', error);
+        }
+    }
+
+    /**
+     * Place the menu at the pointer, kept inside the container
+     * @private
+     */
+    _position(event) {
+        const bounds = this.container.getBoundingClientRect();
+        const x = (event?.clientX ?? bounds.left) - bounds.left;
+        const y = (event?.clientY ?? bounds.top) - bounds.top;
+
+        const maxX = Math.max(0, this.container.clientWidth - this.element.offsetWidth);
+        const maxY = Math.max(0, this.container.clientHeight - this.element.offsetHeight);
+        this.element.style.left = `${Math.min(x, maxX)}px`;
+        this.element.style.top = `${Math.min(y, maxY)}px`;
+    }
+}
@@ -3,6 +3,7 @@
  */
 
 import { YTNodes } from 'youtubei.js/web';
+import { parseAmount } from './Currency.js';
 
 /**
  * Message types that we handle
@@ -17,6 +18,69 @@ export const MessageType = {
     SYSTEM: 'system'
 };
 
+/**
+ * Kinds of SYSTEM messages (notices from YouTube rather than from users)
+ */
+export const SystemMessageKind = {
+    ENGAGEMENT: 'engagement',     // "Welcome to live chat!" and similar notices
+    MODE_CHANGE: 'mode_change',   // Slow mode / members-only switched on or off
+    PLACEHOLDER: 'placeholder',   // Message being held, replaced once it is approved
+    REDIRECT: 'redirect',         // Raid / redirect to another stream
+    STREAM_ENDED: 'stream_ended'  // Live chat ended
+};
+
+/**
+ * Chat events (other than new messages) that MessageParser can produce
+ * Values double as the ChatManager event names they are emitted under
+ */
+export const ChatEventType = {
+    UPDATE: 'update',
+    REMOVE: 'remove',
+    BANNER: 'banner',
+    BANNER_REMOVE: 'banner-remove',
+    POLL: 'poll',
+    POLL_CLOSE: 'poll-close',
+    TICKER: 'ticker',
+    MODE: 'mode'
+};
+
+/**
+ * Chat modes that restrict who can send messages or how often
+ */
+export const ChatMode = {
+    SLOW: 'slow',
+    MEMBERS_ONLY: 'members_only',
+    SUBSCRIBERS_ONLY: 'subscribers_only'
+};
+
+/**
+ * Kinds of items shown in the Super Chat / membership ticker
+ */
+export const TickerKind = {
+    PAID: 'paid',
+    STICKER: 'sticker',
+    MEMBERSHIP: 'membership'
+};
+
+/**
+ * Reasons a message can be removed from the overlay
+ */
+export const RemovalReason = {
+    DELETED: 'deleted',           // Message was deleted (by moderator or author)
+    AUTHOR_REMOVED: 'author_removed' // Author was banned or timed out
+};
+
+/**
+ * Plain text of parsed message content, emotes as their shortcode (e.g. ":hand-pink-waving:")
+ * @param {{text: string, runs: object[]}} content - Message content from a normalized message
+ * @returns {string} Message text
+ */
+export function getPlainText(content) {
+    if (!content) return '';
+    if (!content.runs || content.runs.length === 0) return content.text || '';
+    return content.runs.map(run => run.type === 'emote' ? (run.alt || run.text || '') : (run.text || '')).join('');
+}
+
 /**
  * MessageParser transforms youtubei.js chat actions into our normalized message format
  */
@@ -27,12 +91,450 @@ export class MessageParser {
      * @returns {object|null} Normalized message object or null if not a displayable message
      */
     parseAction(action) {
-        // Only handle AddChatItemAction (new messages)
+        // Raid / redirect banners are shown in the message flow
+        if (action.is(YTNodes.AddBannerToLiveChatCommand)) {
+            const banner = action.as(YTNodes.AddBannerToLiveChatCommand).banner;
+            if (banner?.contents?.type === 'LiveChatBannerRedirect') {
+                return this._parseRedirectMessage(banner);
+            }
+            return null;
+        }
+
+        // Otherwise only handle AddChatItemAction (new messages)
         if (!action.is(YTNodes.AddChatItemAction)) {
             return null;
         }
 
-        const item = action.as(YTNodes.AddChatItemAction).item;
+        return this._parseItem(action.as(YTNodes.AddChatItemAction).item);
+    }
+
+    /**
+     * Create a SYSTEM message for notices that don't come from a chat item (e.g. stream ended)
+     * @param {string} kind - SystemMessageKind value
+     * @param {string} text - Notice text
+     * @returns {object} Normalized SYSTEM message
+     */
+    createSystemMessage(kind, text) {
+        return {
+            id: this._generateId(),
+            type: MessageType.SYSTEM,
+            author: null,
+            badges: [],
+            message: { text, runs: [{ type: 'text', text }] },
+            timestamp: new Date(),
+            systemInfo: { kind }
+        };
+    }
+
+    /**
+     * Parse a chat action into a non-message event
+     * (deletions, bans, replacements, banners, polls, ticker, chat mode changes)
+     * @param {object} action - The action object from 'chat-update' event
+     * @returns {{type: string, data: object}|null} Event with a ChatEventType and its payload, or null
+     */
+    parseEvent(action) {
+        // Slow mode / members-only / subscribers-only switched on or off
+        if (action.is(YTNodes.AddChatItemAction)) {
+            const item = action.as(YTNodes.AddChatItemAction).item;
+            if (item?.type === 'LiveChatModeChangeMessage') {
+                const change = this._parseModeChange(item);
+                return change ? { type: ChatEventType.MODE, data: change } : null;
+            }
+            return null;
+        }
+
+        // Single message removed
+        if (action.is(YTNodes.RemoveChatItemAction)) {
+            return {
+                type: ChatEventType.REMOVE,
+                data: {
+                    messageId: action.as(YTNodes.RemoveChatItemAction).target_item_id,
+                    reason: RemovalReason.DELETED
+                }
+            };
+        }
+
+        // Single message retracted, YouTube keeps a "[message retracted]" style notice
+        if (action.is(YTNodes.MarkChatItemAsDeletedAction)) {
+            const deleted = action.as(YTNodes.MarkChatItemAsDeletedAction);
+            return {
+                type: ChatEventType.REMOVE,
+                data: {
+                    messageId: deleted.target_item_id,
+                    reason: RemovalReason.DELETED,
+                    notice: this._getNoticeText(deleted.deleted_state_message)
+                }
+            };
+        }
+
+        // All messages by an author removed (ban)
+        if (action.is(YTNodes.RemoveChatItemByAuthorAction)) {
+            return {
+                type: ChatEventType.REMOVE,
+                data: {
+                    channelId: action.as(YTNodes.RemoveChatItemByAuthorAction).external_channel_id,
+                    reason: RemovalReason.AUTHOR_REMOVED
+                }
+            };
+        }
+
+        // All messages by an author marked as deleted (timeout)
+        if (action.is(YTNodes.MarkChatItemsByAuthorAsDeletedAction)) {
+            const deleted = action.as(YTNodes.MarkChatItemsByAuthorAsDeletedAction);
+            return {
+                type: ChatEventType.REMOVE,
+                data: {
+                    channelId: deleted.external_channel_id,
+                    reason: RemovalReason.AUTHOR_REMOVED,
+                    notice: this._getNoticeText(deleted.deleted_state_message)
+                }
+            };
+        }
+
+        // Message replaced in place (e.g. a held placeholder turning into the real message)
+        if (action.is(YTNodes.ReplaceChatItemAction)) {
+            const replace = action.as(YTNodes.ReplaceChatItemAction);
+            const message = this._parseItem(replace.replacement_item);
+            if (!message) {
+                return null;
+            }
+            return {
+                type: ChatEventType.UPDATE,
+                data: {
+                    messageId: replace.target_item_id,
+                    message
+                }
+            };
+        }
+
+        // Pinned message or announcement shown above chat
+        if (action.is(YTNodes.AddBannerToLiveChatCommand)) {
+            const banner = action.as(YTNodes.AddBannerToLiveChatCommand).banner;
+
+            // Newer polls arrive as banners instead of action panels
+            if (banner?.contents?.type === 'LiveChatBannerPoll') {
+                return { type: ChatEventType.POLL, data: this._parseBannerPoll(banner) };
+            }
+
+            const parsed = this._parseBanner(banner);
+            return parsed ? { type: ChatEventType.BANNER, data: parsed } : null;
+        }
+
+        // Pinned message or announcement taken down
+        if (action.is(YTNodes.RemoveBannerForLiveChatCommand)) {
+            return {
+                type: ChatEventType.BANNER_REMOVE,
+                data: {
+                    id: action.as(YTNodes.RemoveBannerForLiveChatCommand).target_action_id
+                }
+            };
+        }
+
+        // Poll opened
+        if (action.is(YTNodes.ShowLiveChatActionPanelAction)) {
+            const panel = action.as(YTNodes.ShowLiveChatActionPanelAction).panel_to_show;
+            const poll = this._findPoll(panel?.contents);
+            return poll ? { type: ChatEventType.POLL, data: this._parsePoll(poll, panel.id) } : null;
+        }
+
+        // Poll results changed
+        if (action.is(YTNodes.UpdateLiveChatPollAction)) {
+            const poll = this._findPoll(action.as(YTNodes.UpdateLiveChatPollAction).poll_to_update);
+            return poll ? { type: ChatEventType.POLL, data: this._parsePoll(poll) } : null;
+        }
+
+        // Super Chat / membership pinned to the ticker
+        if (action.is(YTNodes.AddLiveChatTickerItemAction)) {
+            const tickerAction = action.as(YTNodes.AddLiveChatTickerItemAction);
+            const item = this._parseTickerItem(tickerAction.item, tickerAction.duration_sec);
+            return item ? { type: ChatEventType.TICKER, data: item } : null;
+        }
+
+        // Poll closed - youtubei.js has no class for this action, so it is generated at runtime
+        if (action.type === 'CloseLiveChatActionPanelAction') {
+            return {
+                type: ChatEventType.POLL_CLOSE,
+                data: { id: action.target_panel_id }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse the restriction shown instead of the chat input (initial chat data)
+     * @param {object} actionPanel - action_panel from the initial LiveChatContinuation
+     * @returns {{mode: string|null, enabled: boolean, seconds: number, text: string}|null} Null if chatting is allowed
+     */
+    parseRestriction(actionPanel) {
+        if (actionPanel?.type !== 'LiveChatRestrictedParticipation') {
+            return null;
+        }
+
+        const text = this._getNoticeText(actionPanel.message);
+        return {
+            mode: this._detectChatMode(actionPanel.icon_type, text),
+            enabled: true,
+            seconds: 0,
+            text
+        };
+    }
+
+    /**
+     * Parse a chat mode change notice
+     * @private
+     *
+     * YouTube LiveChatModeChangeMessage structure:
+     * - text: "Slow mode is on" / "Members-only mode is off"
+     * - subtext: Details like "Send a message every 30 seconds"
+     * - icon_type: Mode icon like SLOW_MODE (language independent)
+     */
+    _parseModeChange(item) {
+        const text = this._getNoticeText(item.text);
+        const subtext = this._getNoticeText(item.subtext);
+        const mode = this._detectChatMode(item.icon_type, `${text} ${subtext}`);
+        if (!mode) {
+            return null;
+        }
+
+        return {
+            mode,
+            enabled: !/\boff\b/i.test(text),
+            seconds: mode === ChatMode.SLOW ? this._parseSlowModeSeconds(subtext) : 0,
+            text: subtext ? `${text}. ${subtext}` : text
+        };
+    }
+
+    /**
+     * Work out which chat mode a notice is about
+     * @private
+     */
+    _detectChatMode(iconType, text) {
+        const icon = (iconType || '').toUpperCase();
+        if (icon.includes('SLOW') || /slow mode/i.test(text)) {
+            return ChatMode.SLOW;
+        }
+        if (icon.includes('MEMBER') || /members?[- ]only/i.test(text)) {
+            return ChatMode.MEMBERS_ONLY;
+        }
+        if (icon.includes('SUBSCRIBER') || /subscribers?[- ]only/i.test(text)) {
+            return ChatMode.SUBSCRIBERS_ONLY;
+        }
+        return null;
+    }
+
+    /**
+     * Parse the slow mode interval from text like "Send a message every 30 seconds"
+     * @private
+     */
+    _parseSlowModeSeconds(text) {
+        const match = /(\d+)\s*(second|sec|minute|min)/i.exec(text || '');
+        if (!match) {
+            return 0;
+        }
+        const value = parseInt(match[1], 10);
+        return match[2].toLowerCase().startsWith('min') ? value * 60 : value;
+    }
+
+    /**
+     * Parse a youtubei.js metadata update into stream stats
+     * @param {object} metadata - Metadata object from the 'metadata-update' event
+     * @returns {{title: string, viewers: number|null, viewersText: string, likesText: string, dateText: string}}
+     *
+     * youtubei.js keeps the last value of each field, so every update is complete:
+     * - views: UpdateViewershipAction (original_view_count, extra_short_view_count "1.2K")
+     * - likes: UpdateToggleButtonTextAction (default_text "3.4K")
+     * - title: UpdateTitleAction, date: UpdateDateTextAction ("Started streaming 2 hours ago")
+     */
+    parseMetadata(metadata) {
+        const views = metadata?.views;
+        const viewers = Number.isFinite(views?.original_view_count) ? views.original_view_count : null;
+
+        return {
+            title: this._getNoticeText(metadata?.title?.title),
+            viewers,
+            viewersText: this._getNoticeText(views?.extra_short_view_count) || this._getNoticeText(views?.view_count),
+            likesText: metadata?.likes?.default_text || '',
+            dateText: metadata?.date?.date_text || ''
+        };
+    }
+
+    /**
+     * Parse a ticker item (paid message, paid sticker or new member)
+     * @private
+     *
+     * youtubei.js ticker item structure:
+     * - duration_sec: Seconds left on the ticker, full_duration_sec: total paid duration
+     * - start_background_color: ARGB integer for the chip color
+     * - amount (paid messages only): Text like "$5.00"
+     * - show_item: The full chat item (LiveChatPaidMessage etc.) shown when clicked
+     */
+    _parseTickerItem(item, actionDuration) {
+        if (!item) return null;
+
+        let kind;
+        switch (item.type) {
+            case 'LiveChatTickerPaidMessageItem':
+                kind = TickerKind.PAID;
+                break;
+            case 'LiveChatTickerPaidStickerItem':
+                kind = TickerKind.STICKER;
+                break;
+            case 'LiveChatTickerSponsorItem':
+                kind = TickerKind.MEMBERSHIP;
+                break;
+            default:
+                return null;
+        }
+
+        // The full message carries the author name and content, the ticker item only a summary
+        const message = item.show_item ? this._parseItem(item.show_item) : null;
+
+        let author = message?.author || null;
+        if (!author) {
+            author = this._parseAuthor(item.author || {
+                name: '',
+                thumbnails: item.author_photo || [],
+                id: item.author_external_channel_id || ''
+            });
+        }
+
+        const durationSec = Number(item.duration_sec ?? actionDuration) || 0;
+
+        return {
+            id: item.id || this._generateId(),
+            kind,
+            author,
+            amount: this._getNoticeText(item.amount) || this._getNoticeText(item.detail),
+            color: this._getSuperChatColor(item.start_background_color),
+            textColor: typeof item.amount_text_color === 'number'
+                ? this._getSuperChatColor(item.amount_text_color)
+                : '',
+            durationSec,
+            fullDurationSec: Number(item.full_duration_sec) || durationSec,
+            message
+        };
+    }
+
+    /**
+     * Find the Poll node inside action panel contents
+     * @private
+     */
+    _findPoll(contents) {
+        if (!contents) return null;
+        const nodes = Array.isArray(contents) ? contents : [contents];
+        return nodes.find(node => node?.is?.(YTNodes.Poll)) || null;
+    }
+
+    /**
+     * Parse a live chat poll
+     * @private
+     *
+     * youtubei.js Poll structure:
+     * - live_chat_poll_id: Stable poll ID (shared by show/update actions)
+     * - choices[]: text, select_endpoint (only present when signed in),
+     *   vote_percentage_if_selected / vote_percentage_if_not_selected ("45%")
+     * - total_votes: Text like "1,234 votes"
+     *
+     * The question lives in the poll header, which youtubei.js doesn't parse yet;
+     * it is picked up when available and otherwise kept from a previous event
+     */
+    _parsePoll(poll, panelId = null) {
+        return {
+            id: poll.live_chat_poll_id || panelId,
+            panelId,
+            question: this._getNoticeText(poll.header?.poll_question),
+            totalVotes: this._getNoticeText(poll.total_votes),
+            choices: poll.choices.map(choice => ({
+                text: this._getNoticeText(choice.text),
+                percentage: this._parsePercentage(choice.vote_percentage_if_not_selected),
+                percentageIfSelected: this._parsePercentage(choice.vote_percentage_if_selected),
+                selectEndpoint: choice.select_endpoint || null
+            }))
+        };
+    }
+
+    /**
+     * Parse a poll delivered as a LiveChatBannerPoll (question and choices, no results)
+     * @private
+     */
+    _parseBannerPoll(banner) {
+        const contents = banner.contents;
+        return {
+            id: banner.action_id,
+            panelId: banner.action_id,
+            question: this._getNoticeText(contents.poll_question),
+            totalVotes: '',
+            choices: (contents.choices || []).map(choice => ({
+                text: choice.text || '',
+                percentage: null,
+                percentageIfSelected: null,
+                selectEndpoint: null
+            }))
+        };
+    }
+
+    /**
+     * Convert a percentage Text ("45%") into a number, or null if absent
+     * @private
+     */
+    _parsePercentage(text) {
+        const value = parseFloat(this._getNoticeText(text));
+        return Number.isFinite(value) ? value : null;
+    }
+
+    /**
+     * Parse a LiveChatBanner (pinned message / announcement)
+     * @private
+     *
+     * YouTube LiveChatBanner structure:
+     * - action_id: ID used by RemoveBannerForLiveChatCommand
+     * - header.text: Title like "Pinned by StreamerName"
+     * - contents: The pinned chat item (usually LiveChatTextMessage),
+     *   or an announcement renderer with its own text
+     */
+    _parseBanner(banner) {
+        if (!banner || !banner.contents) {
+            return null;
+        }
+
+        // Polls have their own panel, redirects become SYSTEM messages
+        if (banner.contents.type === 'LiveChatBannerPoll' ||
+            banner.contents.type === 'LiveChatBannerRedirect') {
+            return null;
+        }
+
+        let message = this._parseItem(banner.contents);
+
+        if (!message) {
+            // Announcement banners carry plain text instead of a chat item
+            const text = banner.contents.banner_message || banner.contents.chat_summary;
+            if (!text) {
+                return null;
+            }
+            message = {
+                id: banner.action_id || this._generateId(),
+                type: MessageType.SYSTEM,
+                author: null,
+                badges: [],
+                message: this._parseMessageContent(text),
+                timestamp: new Date()
+            };
+        }
+
+        return {
+            id: banner.action_id || message.id,
+            title: this._getNoticeText(banner.header?.text) || 'Pinned',
+            iconType: banner.header?.icon_type || '',
+            message
+        };
+    }
+
+    /**
+     * Parse a chat item renderer into a normalized message
+     * @private
+     */
+    _parseItem(item) {
         if (!item) {
             return null;
         }
@@ -57,6 +559,15 @@ export class MessageParser {
             case 'LiveChatSponsorshipsGiftRedemptionAnnouncement':
                 return this._parseGiftRedemptionMessage(item);
 
+            case 'LiveChatViewerEngagementMessage':
+                return this._parseEngagementMessage(item);
+
+            case 'LiveChatModeChangeMessage':
+                return this._parseModeChangeMessage(item);
+
+            case 'LiveChatPlaceholderItem':
+                return this._parsePlaceholderMessage(item);
+
             default:
                 // Unsupported message type
                 return null;
@@ -74,7 +585,7 @@ export class MessageParser {
             author: this._parseAuthor(item.author),
             badges: this._parseBadges(item.author),
             message: this._parseMessageContent(item.message),
-            timestamp: item.timestamp ? new Date(item.timestamp) : new Date(),
+            timestamp: this._parseTimestamp(item),
             replyTo: this._parseReplyTarget(item)
         };
     }
@@ -91,9 +602,9 @@ export class MessageParser {
             author: this._parseAuthor(item.author),
             badges: this._parseBadges(item.author),
             message: this._parseMessageContent(item.message),
-            timestamp: item.timestamp ? new Date(item.timestamp) : new Date(),
+            timestamp: this._parseTimestamp(item),
             paidInfo: {
-                amount: item.purchase_amount?.toString() || '',
+                amount: parseAmount(item.purchase_amount?.toString()),
                 color: this._getSuperChatColor(item.header_background_color)
             }
         };
@@ -132,9 +643,9 @@ export class MessageParser {
                     alt: stickerAlt
                 }]
             },
-            timestamp: item.timestamp ? new Date(item.timestamp) : new Date(),
+            timestamp: this._parseTimestamp(item),
             paidInfo: {
-                amount: item.purchase_amount?.toString() || '',
+                amount: parseAmount(item.purchase_amount?.toString()),
                 color: bgColor
             }
         };
@@ -165,7 +676,7 @@ export class MessageParser {
             author: this._parseAuthor(item.author),
             badges: this._parseBadges(item.author),
             message: userMessage,
-            timestamp: new Date(),
+            timestamp: this._parseTimestamp(item),
             membershipInfo: {
                 duration: durationText,
                 level: membershipLevel
@@ -214,7 +725,7 @@ export class MessageParser {
                 text: headerText,
                 runs: []
             },
-            timestamp: new Date(),
+            timestamp: this._parseTimestamp(item),
             giftInfo: {
                 isGift: true,
                 type: 'purchase'
@@ -240,7 +751,7 @@ export class MessageParser {
                 text: messageText,
                 runs: []
             },
-            timestamp: new Date(),
+            timestamp: this._parseTimestamp(item),
             giftInfo: {
                 isGift: true,
                 type: 'redemption'
@@ -248,6 +759,97 @@ export class MessageParser {
         };
     }
 
+    /**
+     * Parse a viewer engagement notice ("Welcome to live chat!", poll results, etc.)
+     * @private
+     */
+    _parseEngagementMessage(item) {
+        return {
+            id: item.id || this._generateId(),
+            type: MessageType.SYSTEM,
+            author: null,
+            badges: [],
+            message: this._parseMessageContent(item.message),
+            timestamp: this._parseTimestamp(item),
+            systemInfo: {
+                kind: SystemMessageKind.ENGAGEMENT,
+                iconType: item.icon_type || ''
+            }
+        };
+    }
+
+    /**
+     * Parse a chat mode change notice as a SYSTEM message
+     * The mode itself is tracked separately through parseEvent()
+     * @private
+     */
+    _parseModeChangeMessage(item) {
+        const text = this._getNoticeText(item.text);
+        const subtext = this._getNoticeText(item.subtext);
+        const fullText = subtext ? `${text}. ${subtext}` : text;
+
+        return {
+            id: item.id || this._generateId(),
+            type: MessageType.SYSTEM,
+            author: null,
+            badges: [],
+            message: { text: fullText, runs: [{ type: 'text', text: fullText }] },
+            timestamp: this._parseTimestamp(item),
+            systemInfo: {
+                kind: SystemMessageKind.MODE_CHANGE,
+                iconType: item.icon_type || ''
+            }
+        };
+    }
+
+    /**
+     * Parse a placeholder for a held message
+     * YouTube swaps it for the real message with ReplaceChatItemAction
+     * @private
+     */
+    _parsePlaceholderMessage(item) {
+        const text = 'Message is being reviewed...';
+        return {
+            id: item.id || this._generateId(),
+            type: MessageType.SYSTEM,
+            author: null,
+            badges: [],
+            message: { text, runs: [{ type: 'text', text }] },
+            timestamp: this._parseTimestamp(item),
+            systemInfo: {
+                kind: SystemMessageKind.PLACEHOLDER
+            }
+        };
+    }
+
+    /**
+     * Parse a raid / redirect banner as a SYSTEM message
+     * @private
+     *
+     * YouTube LiveChatBannerRedirect structure:
+     * - banner_message: "X and their viewers just joined. Say hello!"
+     * - author_photo: Thumbnail[] of the raiding channel
+     * - inline_action_button: "Go now" button linking to the other stream
+     */
+    _parseRedirectMessage(banner) {
+        const contents = banner.contents;
+        const url = contents.inline_action_button?.endpoint?.toURL?.() || '';
+
+        return {
+            id: banner.action_id || this._generateId(),
+            type: MessageType.SYSTEM,
+            author: null,
+            badges: [],
+            message: this._parseMessageContent(contents.banner_message),
+            timestamp: new Date(),
+            systemInfo: {
+                kind: SystemMessageKind.REDIRECT,
+                avatarUrl: contents.author_photo?.[0]?.url || '',
+                url
+            }
+        };
+    }
+
     /**
      * Parse author information
      * @private
@@ -496,6 +1098,28 @@ export class MessageParser {
         return '#1565C0'; // Default blue
     }
 
+    /**
+     * Get display text from a YouTube Text object, treating 'N/A' as empty
+     * @private
+     */
+    _getNoticeText(text) {
+        const value = text?.toString() || '';
+        return value === 'N/A' ? '' : value;
+    }
+
+    /**
+     * When YouTube says a chat item was sent
+     * Some items only carry timestamp_usec; notices without either get the time they arrived
+     * @private
+     */
+    _parseTimestamp(item) {
+        if (item.timestamp) {
+            return new Date(item.timestamp);
+        }
+        const usec = parseInt(item.timestamp_usec, 10);
+        return usec ? new Date(Math.floor(usec / 1000)) : new Date();
+    }
+
     /**
      * Generate a unique ID for messages without one
      * @private
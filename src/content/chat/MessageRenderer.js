@@ -2,31 +2,172 @@
  * MessageRenderer - Renders chat messages to the DOM
  */
 
-import { MessageType } from './MessageParser.js';
-import { getSetting } from '../settings/SettingsManager.js';
+import { MessageType, SystemMessageKind, getPlainText } from './MessageParser.js';
+import { getSetting, getUserOverride } from '../settings/SettingsManager.js';
+import { convert, formatAmount } from './Currency.js';
 
 /**
- * Default maximum number of messages to display
+ * Default maximum number of messages to keep in history
  */
-const DEFAULT_MAX_MESSAGES = 50;
+const DEFAULT_MAX_MESSAGES = 500;
+
+/**
+ * Extra pixels rendered above and below the visible area of the list
+ */
+const OVERSCAN_PX = 400;
+
+/**
+ * Row height assumed for messages that haven't been rendered yet
+ */
+const DEFAULT_ROW_HEIGHT = 32;
+
+/**
+ * Window over which render stats are averaged
+ */
+const STATS_WINDOW_MS = 1000;
+
+/**
+ * Timestamp formats
+ */
+export const TimestampFormat = {
+    OFF: 'off',
+    CLOCK: 'hh:mm',
+    CLOCK_SECONDS: 'hh:mm:ss',
+    RELATIVE: 'relative', // "2m ago", kept up to date
+    ELAPSED: 'elapsed'    // Time since the stream started, like a VOD offset
+};
+
+/**
+ * How often relative timestamps are refreshed
+ */
+const RELATIVE_TIME_INTERVAL_MS = 10000;
+
+/**
+ * Tracked spam texts are pruned once there are more than this many
+ */
+const MAX_SPAM_KEYS = 1000;
+
+/**
+ * Display modes
+ */
+export const DisplayMode = {
+    LIST: 'list',           // Regular scrolling chat
+    EPHEMERAL: 'ephemeral', // Messages fade out after a while, like a stream overlay
+    DANMAKU: 'danmaku'      // Messages fly across the player (DanmakuLayer), the list only keeps history
+};
+
+/**
+ * How often ephemeral messages are checked for expiry
+ */
+const EXPIRY_INTERVAL_MS = 500;
+
+/**
+ * Holding a finger on a message this long opens the message menu
+ */
+const LONG_PRESS_MS = 500;
+
+/**
+ * Moving further than this while holding is a scroll, not a long press
+ */
+const LONG_PRESS_MOVE_TOLERANCE_PX = 10;
+
+/**
+ * Message types that stay longer in ephemeral mode
+ */
+const HIGHLIGHT_TYPES = new Set([
+    MessageType.PAID,
+    MessageType.STICKER,
+    MessageType.MEMBERSHIP,
+    MessageType.GIFT_PURCHASE,
+    MessageType.GIFT_REDEMPTION
+]);
 
 /**
  * MessageRenderer handles rendering parsed messages to the overlay
+ *
+ * The list is virtualized: every message in history is kept as data, but only the
+ * rows in (or near) the visible area are in the DOM. Two spacers stand in for the
+ * heights of the rows that aren't rendered.
+ *
+ * Incoming messages are queued and added once per animation frame. With a maximum
+ * rate set, messages over budget are skipped and replaced by an "N messages skipped" row.
+ *
+ * In ephemeral mode rows fade out once their lifetime is over; they stay in history,
+ * so the overlay can reveal them again on hover.
+ *
+ * Repeated text (copy-pasta, emote walls, users repeating themselves) is merged into the
+ * row that first showed it, with a "×N" counter.
  */
 export class MessageRenderer {
     /**
      * @param {HTMLElement} container - The messages container element
      * @param {object} options - Rendering options
+     * @param {number} [options.maxMessages] - Maximum number of messages to keep
+     * @param {number} [options.maxRate] - Maximum messages shown per second (0 = unlimited)
+     * @param {string} [options.displayMode] - DisplayMode value
+     * @param {string} [options.timestampFormat] - TimestampFormat value
+     * @param {HTMLElement} [options.bannerContainer] - Element that holds the pinned message banner
+     * @param {Function} [options.onAuthorClick] - Called with (message, event) when a username is clicked
+     * @param {Function} [options.onMessageMenu] - Called with (message, event) when a message is right-clicked or long-pressed
      */
     constructor(container, options = {}) {
         this.container = container;
+        this.bannerContainer = options.bannerContainer || null;
+        this.onAuthorClick = options.onAuthorClick || null;
+        this.onMessageMenu = options.onMessageMenu || null;
         this.maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
-        this.messages = [];
-        this.autoScroll = true;
+        this.messages = []; // { id, message, element, height, removal, resurfaced, skipped, addedAt, expired, expanded, repeat, repeatAuthors }, oldest first
+        this.queue = []; // Entries waiting for the next frame
+        this.autoScroll = true; // The list is scrolled to the newest end
         this._scrollHandler = null;
+        this._renderFrame = null;
+
+        // Hover-to-pause (pauseOnHover setting) and the "N new messages" pill
+        this.hoverPaused = false;
+        this._resumeOnLeave = false;
+        this._hoverHandlers = null;
+        this.unseenCount = 0;
+        this.newMessagesPill = null;
+
+        // Rate limit (token bucket refilled at maxRate per second, holding up to one second's worth)
+        this.maxRate = options.maxRate || 0;
+        this._rateTokens = this.maxRate;
+        this._lastFlushAt = 0;
+
+        // Render cost measurement
+        this._statsWindow = this._createStatsWindow();
+        this.renderStats = this._createStatsWindow();
+
+        // Duplicate collapsing: normalized text -> { entry, copies, lastAt }
+        this.spamIndex = new Map();
+
+        // Ephemeral mode expiry
+        this.displayMode = DisplayMode.LIST;
+        this._expiryTimer = null;
+
+        // Timestamps
+        this.timestampFormat = options.timestampFormat || TimestampFormat.OFF;
+        this.streamStartTime = null;
+        this._timestampTimer = null;
+
+        // Stand-ins for the rows before and after the rendered range
+        this.beforeSpacer = null;
+        this.afterSpacer = null;
+        this._createSpacers();
+        this._createNewMessagesPill();
+        this.setDisplayMode(options.displayMode || DisplayMode.LIST);
+        this.setTimestampFormat(this.timestampFormat);
+
+        // Pinned banner state
+        this.currentBanner = null;
+        this.bannerCollapsed = false;
+        this.dismissedBanners = new Set();
 
         // Track scroll position for auto-scroll behavior
         this._setupScrollTracking();
+        this._setupHoverPause();
+        this._setupAuthorClicks();
+        this._setupMessageMenu();
     }
 
     /**
@@ -37,8 +178,35 @@ export class MessageRenderer {
             this.container.removeEventListener('scroll', this._scrollHandler);
             this._scrollHandler = null;
         }
+        if (this._hoverHandlers && this.container) {
+            Object.entries(this._hoverHandlers).forEach(([event, handler]) => {
+                this.container.removeEventListener(event, handler);
+            });
+            this._hoverHandlers = null;
+        }
+        if (this._authorClickHandler && this.container) {
+            this.container.removeEventListener('click', this._authorClickHandler);
+            this._authorClickHandler = null;
+        }
+        if (this._messageMenuHandlers && this.container) {
+            Object.entries(this._messageMenuHandlers).forEach(([event, handler]) => {
+                this.container.removeEventListener(event, handler, true);
+            });
+            this._messageMenuHandlers = null;
+        }
+        this._cancelLongPress();
+        this.onAuthorClick = null;
+        this.onMessageMenu = null;
+        if (this._renderFrame) {
+            cancelAnimationFrame(this._renderFrame);
+            this._renderFrame = null;
+        }
+        this._stopExpiryTimer();
+        this._stopTimestampTimer();
         this.clear();
+        this.clearBanner();
         this.container = null;
+        this.bannerContainer = null;
     }
 
     /**
@@ -46,20 +214,131 @@ export class MessageRenderer {
      * @param {object} message - Normalized message object from MessageParser
      */
     addMessage(message) {
-        // Create message element
-        const messageEl = this._createMessageElement(message);
+        // Blocked users are dropped before they take up history
+        if (getUserOverride(message.author?.channelId)?.blocked) return;
 
-        // Add to DOM
-        this.container.appendChild(messageEl);
-        this.messages.push({ id: message.id, element: messageEl });
+        const entry = this._createEntry(message);
+        if (this._collapseDuplicate(entry)) return;
 
-        // Remove old messages if exceeding max
-        this._enforceMaxMessages();
+        this.queue.push(entry);
 
-        // Auto-scroll if enabled
-        if (this.autoScroll) {
-            this._scrollToBottom();
+        // A background tab doesn't get frames; anything past the history size would be trimmed anyway
+        if (this.queue.length > this.maxMessages) {
+            this.queue.splice(0, this.queue.length - this.maxMessages);
+        }
+
+        this._scheduleRender();
+    }
+
+    /**
+     * Whether a message is in the history
+     * @param {string} messageId - Message ID
+     * @returns {boolean} True if the message was added and hasn't been dropped
+     */
+    hasMessage(messageId) {
+        return this.messages.some(entry => entry.id === messageId);
+    }
+
+    /**
+     * Bring a message back into view
+     * Scrolls to it if it is still in the list, otherwise re-adds it at the newest end
+     * @param {object} message - Normalized message object from MessageParser
+     */
+    revealMessage(message) {
+        if (!message) return;
+
+        // Bypasses the queue and the rate limit, the user asked for this message
+        this._flushQueue(false);
+
+        let entry = this.messages.find(m => m.id === message.id);
+        if (!entry) {
+            entry = this._createEntry(message);
+            entry.resurfaced = true;
+            this.messages.push(entry);
+            this._enforceMaxMessages();
+        } else if (entry.expired) {
+            // Give a faded message a fresh lifetime
+            entry.addedAt = Date.now();
+            entry.expired = false;
+            entry.element?.classList.remove('chatover-message-expired');
         }
+
+        // Jump to the row so it gets rendered, then let the browser bring it fully into view
+        this.autoScroll = false;
+        this._scrollToOffset(this._getOffsetOf(entry));
+        this._render();
+        if (!entry.element) return;
+
+        entry.element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+
+        // Restart the highlight animation
+        entry.element.classList.remove('chatover-message-highlight');
+        void entry.element.offsetWidth;
+        entry.element.classList.add('chatover-message-highlight');
+    }
+
+    /**
+     * Replace an existing message in place (keeps its position in the list)
+     * @param {string} messageId - ID of the message being replaced
+     * @param {object} message - New normalized message object
+     * @returns {boolean} True if the message was found and replaced
+     */
+    updateMessage(messageId, message) {
+        const entry = this.messages.find(m => m.id === messageId) || this.queue.find(m => m.id === messageId);
+        if (!entry) return false;
+
+        entry.id = message.id;
+        entry.message = message;
+        entry.removal = null;
+        entry.height = null;
+        if (entry.element) {
+            const newEl = this._createRowElement(entry);
+            entry.element.replaceWith(newEl);
+            entry.element = newEl;
+            this._scheduleRender();
+        }
+        return true;
+    }
+
+    /**
+     * Take messages back out of the list without a deleted notice
+     * (e.g. they are ahead of the playhead again after rewinding)
+     * @param {string[]} messageIds - IDs of the messages to take out
+     */
+    retractMessages(messageIds) {
+        const ids = new Set(messageIds);
+        this._dropEntries(entry => ids.has(entry.id));
+    }
+
+    /**
+     * Handle deleted messages or removed authors
+     * Uses the deletedMessageMode setting: 'strikethrough', 'replace' or 'remove'
+     * @param {object} removal - Removal event from MessageParser
+     * @param {string} [removal.messageId] - Single message to remove
+     * @param {string} [removal.channelId] - Remove every message by this author
+     * @returns {number} Number of messages affected
+     */
+    removeMessages(removal) {
+        const entries = this._findEntries(removal);
+        if (entries.length === 0) return 0;
+
+        const mode = getSetting('deletedMessageMode') || 'replace';
+
+        if (mode === 'remove') {
+            const removed = new Set(entries);
+            this._dropEntries(entry => removed.has(entry));
+            return entries.length;
+        }
+
+        // Kept on the entry so rows rendered later show the deleted state too
+        entries.forEach(entry => {
+            entry.removal = { notice: removal.notice || '' };
+            if (entry.element) {
+                this._applyDeletedState(entry.element, entry.removal, mode);
+            }
+        });
+        this._scheduleRender();
+        return entries.length;
     }
 
     /**
@@ -68,6 +347,21 @@ export class MessageRenderer {
     clear() {
         this.container.innerHTML = '';
         this.messages = [];
+        this.queue = [];
+        this.spamIndex.clear();
+        this._createSpacers();
+        this._createNewMessagesPill();
+        this._setUnseenCount(0);
+    }
+
+    /**
+     * Jump back to the newest messages and resume auto-scroll
+     */
+    scrollToNewest() {
+        this.autoScroll = true;
+        this.hoverPaused = false;
+        this._setUnseenCount(0);
+        this._render();
     }
 
     /**
@@ -75,8 +369,175 @@ export class MessageRenderer {
      * @param {number} max - New maximum message count
      */
     setMaxMessages(max) {
-        this.maxMessages = max;
+        this.maxMessages = max || DEFAULT_MAX_MESSAGES;
         this._enforceMaxMessages();
+        this._scheduleRender();
+    }
+
+    /**
+     * Render message content (text runs, emotes, links) to HTML, for other views of the same messages
+     * @param {object} content - The message's `message` field ({text, runs})
+     * @returns {string} HTML
+     */
+    renderContent(content) {
+        return this._renderMessageContent(content);
+    }
+
+    /**
+     * Switch between the regular list and ephemeral (fade-out) display
+     * @param {string} mode - DisplayMode value
+     */
+    setDisplayMode(mode) {
+        this.displayMode = Object.values(DisplayMode).includes(mode) ? mode : DisplayMode.LIST;
+        this.container.classList.toggle('chatover-messages-ephemeral', this.displayMode === DisplayMode.EPHEMERAL);
+
+        if (this.displayMode === DisplayMode.EPHEMERAL) {
+            this._expireMessages();
+            this._startExpiryTimer();
+        } else {
+            this._stopExpiryTimer();
+        }
+    }
+
+    /**
+     * Change how message times are shown
+     * @param {string} format - TimestampFormat value
+     */
+    setTimestampFormat(format) {
+        const previous = this.timestampFormat;
+        this.timestampFormat = Object.values(TimestampFormat).includes(format) ? format : TimestampFormat.OFF;
+
+        if (this.timestampFormat === TimestampFormat.RELATIVE) {
+            this._startTimestampTimer();
+        } else {
+            this._stopTimestampTimer();
+        }
+        if (this.timestampFormat !== previous) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Set when the stream started, for elapsed timestamps
+     * @param {Date|null} startTime - Stream start time (null for replays and unknown starts)
+     */
+    setStreamStartTime(startTime) {
+        const changed = startTime?.getTime() !== this.streamStartTime?.getTime();
+        this.streamStartTime = startTime || null;
+        if (changed && this.timestampFormat === TimestampFormat.ELAPSED) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Update the maximum visible message rate
+     * @param {number} rate - Messages per second, 0 for unlimited
+     */
+    setMaxRate(rate) {
+        this.maxRate = rate || 0;
+        this._rateTokens = this.maxRate;
+    }
+
+    /**
+     * Render cost and throughput over the last second
+     * @returns {{messagesPerSecond: number, skippedPerSecond: number, frames: number, avgRenderMs: number, maxRenderMs: number, renderedRows: number, historySize: number}}
+     */
+    getRenderStats() {
+        this._rollStatsWindow(performance.now());
+        const stats = this.renderStats;
+        return {
+            messagesPerSecond: stats.messages,
+            skippedPerSecond: stats.skipped,
+            frames: stats.frames,
+            avgRenderMs: stats.frames > 0 ? stats.totalMs / stats.frames : 0,
+            maxRenderMs: stats.maxMs,
+            renderedRows: this.messages.filter(entry => entry.element).length,
+            historySize: this.messages.length
+        };
+    }
+
+    /**
+     * Re-render the visible rows from scratch (e.g. after settings that change how rows look)
+     */
+    refresh() {
+        this.messages.forEach(entry => {
+            if (entry.element) {
+                entry.element.remove();
+                entry.element = null;
+            }
+            entry.height = null;
+        });
+        this._scheduleRender();
+    }
+
+    /**
+     * Apply a changed block / nickname / color override to the messages already in the list
+     * @param {string} channelId - Author channel ID
+     */
+    applyUserOverride(channelId) {
+        if (!channelId) return;
+
+        const isAuthor = (entry) => entry.message?.author?.channelId === channelId;
+        if (getUserOverride(channelId)?.blocked) {
+            this._dropEntries(isAuthor);
+            return;
+        }
+
+        this.messages.filter(isAuthor).forEach(entry => {
+            if (entry.element) {
+                const newEl = this._createRowElement(entry);
+                entry.element.replaceWith(newEl);
+                entry.element = newEl;
+            }
+        });
+        this._scheduleRender();
+    }
+
+    /**
+     * Re-render Super Chats and Super Stickers after the home currency or rates changed
+     */
+    refreshPaidMessages() {
+        this.messages.filter(entry => entry.message?.paidInfo && entry.element).forEach(entry => {
+            const newEl = this._createRowElement(entry);
+            entry.element.replaceWith(newEl);
+            entry.element = newEl;
+        });
+        this._scheduleRender();
+    }
+
+    /**
+     * Show a pinned message / announcement banner above the messages
+     * Replaces the current banner; banners the user dismissed stay hidden
+     * @param {object} banner - Banner object from MessageParser
+     */
+    showBanner(banner) {
+        if (!this.bannerContainer || !banner) return;
+
+        this.currentBanner = banner;
+
+        if (this.dismissedBanners.has(banner.id)) {
+            this._hideBannerContainer();
+            return;
+        }
+
+        this._renderBanner();
+    }
+
+    /**
+     * Remove a banner by ID (ignored if a different banner is showing)
+     * @param {string} bannerId - Banner action ID
+     */
+    removeBanner(bannerId) {
+        if (!this.currentBanner || this.currentBanner.id !== bannerId) return;
+        this.clearBanner();
+    }
+
+    /**
+     * Remove the current banner
+     */
+    clearBanner() {
+        this.currentBanner = null;
+        this._hideBannerContainer();
     }
 
     /**
@@ -109,9 +570,16 @@ export class MessageRenderer {
      * @private
      */
     _createMessageElement(message) {
+        if (message.type === MessageType.SYSTEM) {
+            return this._createSystemMessageElement(message);
+        }
+
         const el = document.createElement('div');
         el.className = 'chatover-message';
         el.dataset.messageId = message.id;
+        if (message.author?.channelId) {
+            el.dataset.channelId = message.author.channelId;
+        }
 
         // Add type-specific class
         if (message.type === MessageType.PAID) {
@@ -129,6 +597,15 @@ export class MessageRenderer {
             el.classList.add('chatover-message-gift-redemption');
         }
 
+        // Filter rule results
+        if (message.ruleInfo?.highlightColor) {
+            el.classList.add('chatover-message-rule-highlight');
+            el.style.setProperty('--chatover-rule-color', message.ruleInfo.highlightColor);
+        }
+        if (message.ruleInfo?.collapsed) {
+            el.classList.add('chatover-message-collapsed');
+        }
+
         // Build membership info HTML if present
         let membershipInfoHtml = '';
         if (message.type === MessageType.MEMBERSHIP && message.membershipInfo) {
@@ -157,6 +634,12 @@ export class MessageRenderer {
                </span>`
             : '';
 
+        // Nickname and color the user picked for this author
+        const override = getUserOverride(message.author.channelId);
+        const authorName = override?.nickname || message.author.name;
+        const authorTitle = override?.nickname ? ` title="${this._escapeHtml(message.author.name)}"` : '';
+        const authorStyle = override?.color ? ` style="color: ${this._escapeHtml(override.color)} !important"` : '';
+
         // Build message HTML
         el.innerHTML = `
             <img class="chatover-message-avatar" 
@@ -165,12 +648,13 @@ export class MessageRenderer {
                  onerror="this.style.display='none'" />
             <div class="chatover-message-content">
                 <div class="chatover-message-header">
-                    <span class="chatover-message-author ${this._getAuthorClass(message.author)}">
-                        <span class="chatover-message-author-inner">${this._escapeHtml(message.author.name)}</span>
+                    ${this._renderTimestamp(message.timestamp)}
+                    <span class="chatover-message-author ${this._getAuthorClass(message.author)}"${authorTitle}${authorStyle}>
+                        <span class="chatover-message-author-inner">${this._escapeHtml(authorName)}</span>
                     </span>
                     ${this._renderBadges(message.badges)}
                     ${replyToHtml}
-                    ${message.paidInfo ? `<span class="chatover-message-amount">${this._escapeHtml(message.paidInfo.amount)}</span>` : ''}
+                    ${this._renderAmount(message.paidInfo)}
                 </div>
                 ${membershipInfoHtml}
                 ${messageTextHtml}
@@ -182,86 +666,330 @@ export class MessageRenderer {
     }
 
     /**
-     * Render badges HTML
+     * Create a system message element (no author, icon instead of avatar)
      * @private
      */
-    _renderBadges(badges) {
-        if (!badges || badges.length === 0) return '';
+    _createSystemMessageElement(message) {
+        const kind = message.systemInfo?.kind || SystemMessageKind.ENGAGEMENT;
 
-        return `<div class="chatover-message-badges">
-            ${badges.map(badge => {
-            if (badge.url) {
-                // Custom badge with image
-                return `<img class="chatover-message-badge" 
-                                 src="${this._escapeHtml(badge.url)}" 
-                                 alt="${this._escapeHtml(badge.label)}" 
-                                 title="${this._escapeHtml(badge.label)}" />`;
-            } else {
-                // Icon badge
-                return `<span class="chatover-message-badge chatover-badge-${badge.type}" 
-                                  title="${this._escapeHtml(badge.label)}">${badge.icon}</span>`;
-            }
-        }).join('')}
-        </div>`;
+        const el = document.createElement('div');
+        el.className = `chatover-message chatover-message-system chatover-system-${kind}`;
+        el.dataset.messageId = message.id;
+
+        const icon = message.systemInfo?.avatarUrl
+            ? `<img class="chatover-system-avatar" src="${this._escapeHtml(message.systemInfo.avatarUrl)}" alt="" onerror="this.style.display='none'" />`
+            : `<span class="chatover-system-icon">${this._getSystemIcon(kind)}</span>`;
+
+        const linkHtml = message.systemInfo?.url
+            ? `<a class="chatover-system-link" href="${this._escapeHtml(message.systemInfo.url)}" target="_blank" rel="noopener noreferrer">Go now</a>`
+            : '';
+
+        el.innerHTML = `
+            ${icon}
+            <div class="chatover-message-content">
+                <div class="chatover-message-text"><span class="chatover-message-text-inner">${this._renderMessageContent(message.message)}</span></div>
+                ${linkHtml}
+            </div>
+        `;
+
+        return el;
     }
 
     /**
-     * Render message content with emotes
+     * Create the "N messages skipped" row shown when over the rate limit
      * @private
      */
-    _renderMessageContent(message) {
-        if (!message.runs || message.runs.length === 0) {
-            return this._linkifyText(this._escapeHtml(message.text));
-        }
+    _createSkippedElement(count) {
+        const el = document.createElement('div');
+        el.className = 'chatover-message-skipped';
+        el.textContent = `${count.toLocaleString()} message${count === 1 ? '' : 's'} skipped`;
+        el.title = 'Chat is faster than the maximum message rate';
+        return el;
+    }
 
-        return message.runs.map(run => {
-            if (run.type === 'emote') {
-                // If URL exists, show image; otherwise show text
-                if (run.url) {
-                    return `<img class="chatover-emote" 
-                                 src="${this._escapeHtml(run.url)}" 
-                                 alt="${this._escapeHtml(run.alt)}" 
-                                 title="${this._escapeHtml(run.alt)}"
-                                 onerror="this.outerHTML='${this._escapeHtml(run.text)}'" />`;
-                } else {
-                    // No URL, show text representation
-                    return this._escapeHtml(run.text);
-                }
-            } else if (run.type === 'sticker' && run.url) {
-                return `<img class="chatover-sticker" 
-                             src="${this._escapeHtml(run.url)}" 
-                             alt="${this._escapeHtml(run.alt)}" />`;
-            } else {
-                // Text run - escape HTML and convert URLs to clickable links
-                return this._linkifyText(this._escapeHtml(run.text));
-            }
-        }).join('');
+    /**
+     * Icon for a system message kind
+     * @private
+     */
+    _getSystemIcon(kind) {
+        switch (kind) {
+            case SystemMessageKind.MODE_CHANGE: return '⚙';
+            case SystemMessageKind.PLACEHOLDER: return '⏳';
+            case SystemMessageKind.REDIRECT: return '➜';
+            case SystemMessageKind.STREAM_ENDED: return '■';
+            default: return 'ℹ';
+        }
     }
 
     /**
-     * Convert URLs in text to clickable anchor tags
+     * Render the current banner into the banner container
      * @private
      */
-    _linkifyText(text) {
-        if (!text) return '';
+    _renderBanner() {
+        const banner = this.currentBanner;
+        const message = banner.message;
+        const author = message.author;
 
-        // URL regex pattern - matches http(s), www, and common domains
-        const urlPattern = /(\b(?:https?:\/\/|www\.)[^\s<]+|(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+(?:com|org|net|io|gg|tv|co|me|xyz|app|dev|ai|be|ly|link|to|cc|fm|yt|gl)\b[^\s<]*)/gi;
+        const authorHtml = author
+            ? `<img class="chatover-message-avatar"
+                    src="${this._escapeHtml(author.avatarUrl)}"
+                    alt="${this._escapeHtml(author.name)}"
+                    onerror="this.style.display='none'" />
+               <span class="chatover-message-author ${this._getAuthorClass(author)}">
+                   <span class="chatover-message-author-inner">${this._escapeHtml(author.name)}</span>
+               </span>
+               ${this._renderBadges(message.badges)}`
+            : '';
 
-        return text.replace(urlPattern, (url) => {
-            // Add protocol if missing
-            let href = url;
-            if (!url.match(/^https?:\/\//i)) {
-                href = 'https://' + url;
-            }
-            return `<a class="chatover-link" href="${href}" target="_blank" rel="noopener noreferrer">${url}</a>`;
+        this.bannerContainer.innerHTML = `
+            <div class="chatover-banner-header">
+                <span class="chatover-banner-icon">📌</span>
+                <span class="chatover-banner-title">${this._escapeHtml(banner.title)}</span>
+                <button class="chatover-banner-toggle" title="${this.bannerCollapsed ? 'Expand' : 'Collapse'}">${this.bannerCollapsed ? '▸' : '▾'}</button>
+                <button class="chatover-banner-dismiss" title="Dismiss">×</button>
+            </div>
+            <div class="chatover-banner-body">
+                <div class="chatover-banner-author">${authorHtml}</div>
+                <div class="chatover-message-text">
+                    <span class="chatover-message-text-inner">${this._renderMessageContent(message.message)}</span>
+                </div>
+            </div>
+        `;
+
+        this.bannerContainer.classList.add('chatover-banner-visible');
+        this.bannerContainer.classList.toggle('chatover-banner-collapsed', this.bannerCollapsed);
+
+        this.bannerContainer.querySelector('.chatover-banner-toggle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.bannerCollapsed = !this.bannerCollapsed;
+            this._renderBanner();
+        });
+
+        this.bannerContainer.querySelector('.chatover-banner-dismiss').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.dismissedBanners.add(banner.id);
+            this._hideBannerContainer();
         });
     }
 
     /**
-     * Get author class for styling
-     * Priority: Owner > Moderator > Member > Verified
-     * Only the highest priority role is applied to avoid color conflicts
+     * Empty and hide the banner container
+     * @private
+     */
+    _hideBannerContainer() {
+        if (!this.bannerContainer) return;
+        this.bannerContainer.innerHTML = '';
+        this.bannerContainer.classList.remove('chatover-banner-visible', 'chatover-banner-collapsed');
+    }
+
+    /**
+     * Find history entries targeted by a removal event
+     * @private
+     */
+    _findEntries(removal) {
+        const entries = this.messages.concat(this.queue);
+        if (removal.messageId) {
+            return entries.filter(entry => entry.id === removal.messageId);
+        }
+        if (removal.channelId) {
+            return entries.filter(entry => entry.message?.author?.channelId === removal.channelId);
+        }
+        return [];
+    }
+
+    /**
+     * Mark a row as deleted
+     * @private
+     */
+    _applyDeletedState(el, removal, mode) {
+        el.classList.add('chatover-message-deleted');
+        // YouTube's own wording, e.g. "Message deleted by moderator"
+        if (removal.notice) {
+            el.title = removal.notice;
+        }
+        if (mode === 'replace') {
+            this._replaceWithDeletedNotice(el);
+        }
+    }
+
+    /**
+     * Swap a message's content for the "[message deleted]" notice
+     * @private
+     */
+    _replaceWithDeletedNotice(el) {
+        let textEl = el.querySelector('.chatover-message-text');
+        if (!textEl) {
+            textEl = document.createElement('div');
+            textEl.className = 'chatover-message-text';
+            el.querySelector('.chatover-message-content')?.appendChild(textEl);
+        }
+        textEl.innerHTML = '<span class="chatover-message-text-inner chatover-deleted-notice">[message deleted]</span>';
+
+        // Stickers and membership details are part of the removed content too
+        el.querySelector('.chatover-membership-info')?.remove();
+    }
+
+    /**
+     * Render a message time in the current format (empty when timestamps are off)
+     * @private
+     */
+    _renderTimestamp(timestamp) {
+        if (this.timestampFormat === TimestampFormat.OFF || !(timestamp instanceof Date)) return '';
+
+        const time = timestamp.getTime();
+        return `<span class="chatover-message-time" data-time="${time}" title="${this._escapeHtml(timestamp.toLocaleString())}">${this._formatTimestamp(time, Date.now())}</span>`;
+    }
+
+    /**
+     * Paid amount as sent, followed by its value in the home currency
+     * @private
+     */
+    _renderAmount(paidInfo) {
+        if (!paidInfo?.amount?.display) return '';
+
+        const { currency, value, display } = paidInfo.amount;
+        const homeCurrency = getSetting('homeCurrency');
+        const converted = homeCurrency && currency !== homeCurrency ? convert(value, currency, homeCurrency) : null;
+        const convertedHtml = converted !== null
+            ? ` <span class="chatover-message-amount-converted">≈ ${this._escapeHtml(formatAmount(converted, homeCurrency))}</span>`
+            : '';
+
+        return `<span class="chatover-message-amount">${this._escapeHtml(display)}${convertedHtml}</span>`;
+    }
+
+    /**
+     * @private
+     */
+    _formatTimestamp(time, now) {
+        const pad = (value) => String(value).padStart(2, '0');
+
+        if (this.timestampFormat === TimestampFormat.RELATIVE) {
+            const seconds = Math.max(0, Math.floor((now - time) / 1000));
+            if (seconds < 10) return 'now';
+            if (seconds < 60) return `${seconds}s ago`;
+            if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+            return `${Math.floor(seconds / 3600)}h ago`;
+        }
+
+        // Without a known start (replays, premieres) elapsed time falls back to the clock
+        if (this.timestampFormat === TimestampFormat.ELAPSED && this.streamStartTime) {
+            const seconds = Math.max(0, Math.floor((time - this.streamStartTime.getTime()) / 1000));
+            const hours = Math.floor(seconds / 3600);
+            return `${hours}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+        }
+
+        const date = new Date(time);
+        const clock = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        return this.timestampFormat === TimestampFormat.CLOCK_SECONDS
+            ? `${clock}:${pad(date.getSeconds())}`
+            : clock;
+    }
+
+    /**
+     * Keep relative timestamps of rendered rows current
+     * @private
+     */
+    _startTimestampTimer() {
+        if (this._timestampTimer) return;
+        this._timestampTimer = setInterval(() => {
+            const now = Date.now();
+            this.container?.querySelectorAll('.chatover-message-time').forEach(el => {
+                el.textContent = this._formatTimestamp(Number(el.dataset.time), now);
+            });
+        }, RELATIVE_TIME_INTERVAL_MS);
+    }
+
+    /**
+     * @private
+     */
+    _stopTimestampTimer() {
+        if (this._timestampTimer) {
+            clearInterval(this._timestampTimer);
+            this._timestampTimer = null;
+        }
+    }
+
+    /**
+     * Render badges HTML
+     * @private
+     */
+    _renderBadges(badges) {
+        if (!badges || badges.length === 0) return '';
+
+        return `<div class="chatover-message-badges">
+            ${badges.map(badge => {
+            if (badge.url) {
+                // Custom badge with image
+                return `<img class="chatover-message-badge" 
+                                 src="${this._escapeHtml(badge.url)}" 
+                                 alt="${this._escapeHtml(badge.label)}" 
+                                 title="${this._escapeHtml(badge.label)}" />`;
+            } else {
+                // Icon badge
+                return `<span class="chatover-message-badge chatover-badge-${badge.type}" 
+                                  title="${this._escapeHtml(badge.label)}">${badge.icon}</span>`;
+            }
+        }).join('')}
+        </div>`;
+    }
+
+    /**
+     * Render message content with emotes
+     * @private
+     */
+    _renderMessageContent(message) {
+        if (!message.runs || message.runs.length === 0) {
+            return this._linkifyText(this._escapeHtml(message.text));
+        }
+
+        return message.runs.map(run => {
+            if (run.type === 'emote') {
+                // If URL exists, show image; otherwise show text
+                if (run.url) {
+                    return `<img class="chatover-emote" 
+                                 src="${this._escapeHtml(run.url)}" 
+                                 alt="${this._escapeHtml(run.alt)}" 
+                                 title="${this._escapeHtml(run.alt)}"
+                                 onerror="this.outerHTML='${this._escapeHtml(run.text)}'" />`;
+                } else {
+                    // No URL, show text representation
+                    return this._escapeHtml(run.text);
+                }
+            } else if (run.type === 'sticker' && run.url) {
+                return `<img class="chatover-sticker" 
+                             src="${this._escapeHtml(run.url)}" 
+                             alt="${this._escapeHtml(run.alt)}" />`;
+            } else {
+                // Text run - escape HTML and convert URLs to clickable links
+                return this._linkifyText(this._escapeHtml(run.text));
+            }
+        }).join('');
+    }
+
+    /**
+     * Convert URLs in text to clickable anchor tags
+     * @private
+     */
+    _linkifyText(text) {
+        if (!text) return '';
+
+        // URL regex pattern - matches http(s), www, and common domains
+        const urlPattern = /(\b(?:https?:\/\/|www\.)[^\s<]+|(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+(?:com|org|net|io|gg|tv|co|me|xyz|app|dev|ai|be|ly|link|to|cc|fm|yt|gl)\b[^\s<]*)/gi;
+
+        return text.replace(urlPattern, (url) => {
+            // Add protocol if missing
+            let href = url;
+            if (!url.match(/^https?:\/\//i)) {
+                href = 'https://' + url;
+            }
+            return `<a class="chatover-link" href="${href}" target="_blank" rel="noopener noreferrer">${url}</a>`;
+        });
+    }
+
+    /**
+     * Get author class for styling
+     * Priority: Owner > Moderator > Member > Verified
+     * Only the highest priority role is applied to avoid color conflicts
      * @private
      */
     _getAuthorClass(author) {
@@ -278,22 +1006,700 @@ export class MessageRenderer {
      * @private
      */
     _enforceMaxMessages() {
-        while (this.messages.length > this.maxMessages) {
-            const oldest = this.messages.shift();
-            if (oldest && oldest.element.parentNode) {
-                oldest.element.remove();
+        const excess = this.messages.length - this.maxMessages;
+        if (excess <= 0) return;
+
+        this.messages.splice(0, excess).forEach(entry => {
+            if (entry.element) {
+                entry.element.remove();
+            }
+        });
+    }
+
+    /**
+     * Remove history entries (and their rows) matching a predicate
+     * @private
+     */
+    _dropEntries(predicate) {
+        this.messages = this.messages.filter(entry => {
+            if (!predicate(entry)) return true;
+            if (entry.element) {
+                entry.element.remove();
+            }
+            return false;
+        });
+        this.queue = this.queue.filter(entry => !predicate(entry));
+        this._scheduleRender();
+    }
+
+    /**
+     * Create a history entry for a message
+     * @private
+     */
+    _createEntry(message) {
+        return {
+            id: message.id,
+            message,
+            element: null,
+            height: null,
+            removal: null,
+            resurfaced: false,
+            skipped: 0,
+            addedAt: Date.now(),
+            expired: false,
+            expanded: false,
+            repeat: 1,
+            repeatAuthors: new Set([message.author?.channelId])
+        };
+    }
+
+    /**
+     * Move queued messages into history, skipping what goes over the rate limit
+     * @param {boolean} [limitRate=true] - Apply the maximum rate
+     * @returns {{added: number, skipped: number}}
+     * @private
+     */
+    _flushQueue(limitRate = true) {
+        if (this.queue.length === 0) return { added: 0, skipped: 0 };
+
+        const incoming = this.queue;
+        this.queue = [];
+        let accepted = incoming;
+        let skipped = 0;
+
+        if (limitRate && this.maxRate > 0) {
+            const now = performance.now();
+            const elapsedSeconds = this._lastFlushAt ? (now - this._lastFlushAt) / 1000 : 1;
+            this._rateTokens = Math.min(this.maxRate, this._rateTokens + elapsedSeconds * this.maxRate);
+            this._lastFlushAt = now;
+
+            const budget = Math.floor(this._rateTokens);
+            if (incoming.length > budget) {
+                // Paid messages, memberships, notices and the streamer / mods always get through
+                const regular = incoming.filter(entry => !this._isPriority(entry.message));
+                const regularBudget = Math.max(0, budget - (incoming.length - regular.length));
+                const dropped = new Set(regular.slice(0, regular.length - regularBudget));
+
+                accepted = incoming.filter(entry => !dropped.has(entry));
+                skipped = dropped.size;
+            }
+
+            this._rateTokens = Math.max(0, this._rateTokens - accepted.length);
+        }
+
+        if (skipped > 0) {
+            this._addSkippedMarker(skipped);
+        }
+        this.messages.push(...accepted);
+
+        // Remove old messages if exceeding max
+        this._enforceMaxMessages();
+
+        return { added: accepted.length, skipped };
+    }
+
+    /**
+     * Merge a repeated text message into the row that already shows it
+     * The author repeating themselves always merges; copies from other users merge from the
+     * spamThreshold-th copy on
+     * @private
+     * @returns {boolean} True if the message was merged and needs no row of its own
+     */
+    _collapseDuplicate(entry) {
+        if (!getSetting('collapseSpam') || entry.message.type !== MessageType.TEXT) return false;
+
+        const key = this._getSpamKey(entry.message);
+        if (!key) return false;
+
+        const now = Date.now();
+        const windowMs = getSetting('spamWindow') * 1000;
+        const record = this.spamIndex.get(key);
+        const target = record?.entry;
+
+        const isRecent = record && now - record.lastAt <= windowMs && !target.removal &&
+            (this.messages.includes(target) || this.queue.includes(target));
+        if (!isRecent) {
+            this._trackSpamKey(key, { entry, copies: 1, lastAt: now }, now, windowMs);
+            return false;
+        }
+
+        record.copies++;
+        record.lastAt = now;
+
+        const authorId = entry.message.author?.channelId;
+        const isSelfRepeat = target.repeatAuthors.has(authorId) && target.repeatAuthors.size === 1;
+        if (!isSelfRepeat && record.copies < getSetting('spamThreshold')) {
+            // Not spam yet, later copies merge into this newer row
+            record.entry = entry;
+            return false;
+        }
+
+        target.repeat++;
+        target.repeatAuthors.add(authorId);
+        // Keeps a row that is still being spammed from fading out in ephemeral mode
+        target.addedAt = now;
+        target.expired = false;
+        if (target.element) {
+            target.element.classList.remove('chatover-message-expired');
+            this._applyRepeatCount(target.element, target);
+        }
+        return true;
+    }
+
+    /**
+     * Remember a text for duplicate collapsing, dropping stale texts when there are too many
+     * @private
+     */
+    _trackSpamKey(key, record, now, windowMs) {
+        this.spamIndex.set(key, record);
+        if (this.spamIndex.size <= MAX_SPAM_KEYS) return;
+
+        this.spamIndex.forEach((value, oldKey) => {
+            if (now - value.lastAt > windowMs) {
+                this.spamIndex.delete(oldKey);
+            }
+        });
+    }
+
+    /**
+     * Text used to spot duplicates: case, spacing and emote images don't matter
+     * @private
+     */
+    _getSpamKey(message) {
+        return getPlainText(message.message).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Show or update a row's "×N" counter
+     * @private
+     */
+    _applyRepeatCount(el, entry) {
+        if (entry.repeat <= 1) return;
+
+        let counter = el.querySelector('.chatover-message-repeat');
+        if (!counter) {
+            const header = el.querySelector('.chatover-message-header');
+            if (!header) return;
+            counter = document.createElement('span');
+            counter.className = 'chatover-message-repeat';
+            header.appendChild(counter);
+        }
+
+        const users = entry.repeatAuthors.size;
+        counter.textContent = `×${entry.repeat}`;
+        counter.title = users > 1
+            ? `Sent ${entry.repeat} times by ${users} users`
+            : `Sent ${entry.repeat} times`;
+    }
+
+    /**
+     * Messages that are never skipped by the rate limit
+     * @private
+     */
+    _isPriority(message) {
+        if (message.type !== MessageType.TEXT) return true;
+        return Boolean(message.author?.isOwner || message.author?.isModerator);
+    }
+
+    /**
+     * Add an "N messages skipped" row, or grow the one at the newest end
+     * @private
+     */
+    _addSkippedMarker(count) {
+        const last = this.messages[this.messages.length - 1];
+        if (last?.skipped) {
+            last.skipped += count;
+            if (last.element) {
+                const newEl = this._createRowElement(last);
+                last.element.replaceWith(newEl);
+                last.element = newEl;
+            }
+            return;
+        }
+
+        this.messages.push({
+            id: `skipped_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            message: null,
+            element: null,
+            height: null,
+            removal: null,
+            resurfaced: false,
+            skipped: count,
+            addedAt: Date.now(),
+            expired: false,
+            expanded: false,
+            repeat: 1,
+            repeatAuthors: new Set()
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createStatsWindow() {
+        return { startedAt: performance.now(), frames: 0, totalMs: 0, maxMs: 0, messages: 0, skipped: 0 };
+    }
+
+    /**
+     * Record one rendered frame
+     * @private
+     */
+    _recordFrame(durationMs, added, skipped) {
+        const now = performance.now();
+        this._rollStatsWindow(now);
+
+        const stats = this._statsWindow;
+        stats.frames++;
+        stats.totalMs += durationMs;
+        stats.maxMs = Math.max(stats.maxMs, durationMs);
+        stats.messages += added;
+        stats.skipped += skipped;
+    }
+
+    /**
+     * Publish the current stats window once it is a second old
+     * @private
+     */
+    _rollStatsWindow(now) {
+        const elapsed = now - this._statsWindow.startedAt;
+        if (elapsed < STATS_WINDOW_MS) return;
+
+        // Nothing rendered for a while - the last published window is stale too
+        this.renderStats = elapsed < STATS_WINDOW_MS * 2 ? this._statsWindow : this._createStatsWindow();
+        this._statsWindow = this._createStatsWindow();
+    }
+
+    /**
+     * Create the spacer elements that hold the place of unrendered rows
+     * @private
+     */
+    _createSpacers() {
+        this.beforeSpacer = document.createElement('div');
+        this.beforeSpacer.className = 'chatover-messages-spacer';
+        this.afterSpacer = document.createElement('div');
+        this.afterSpacer.className = 'chatover-messages-spacer';
+        this.container.appendChild(this.beforeSpacer);
+        this.container.appendChild(this.afterSpacer);
+    }
+
+    /**
+     * Render on the next frame (all messages that arrive within a frame share one render)
+     * @private
+     */
+    _scheduleRender() {
+        if (this._renderFrame || !this.container) return;
+        this._renderFrame = requestAnimationFrame(() => {
+            this._renderFrame = null;
+
+            const start = performance.now();
+            const { added, skipped } = this._flushQueue();
+            this._render();
+            this._recordFrame(performance.now() - start, added, skipped);
+
+            // Messages that arrived while the list isn't following the newest end
+            if (added > 0 && !this._isPinned()) {
+                this._setUnseenCount(this.unseenCount + added);
+            }
+        });
+    }
+
+    /**
+     * Put the rows near the visible area in the DOM and size the spacers for the rest
+     * @private
+     */
+    _render() {
+        if (!this.container) return;
+
+        // Heights of rows that are already rendered may have changed (settings, images loading)
+        // A hidden overlay measures everything as 0, which isn't a real height
+        const canMeasure = this.container.clientHeight > 0;
+        if (canMeasure) {
+            this.messages.forEach(entry => {
+                if (entry.element) {
+                    entry.height = entry.element.offsetHeight;
+                }
+            });
+        }
+
+        const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        const estimate = this._getEstimatedHeight();
+        const heights = this.messages.map(entry => (entry.height ?? estimate) + gap);
+        const totalHeight = heights.reduce((sum, height) => sum + height, 0);
+
+        // Offsets below are along the list from the oldest message
+        const viewportHeight = this.container.clientHeight;
+        const pinned = this._isPinned();
+        const viewportStart = pinned
+            ? totalHeight - viewportHeight
+            : this._getScrollOffset();
+        const rangeStart = viewportStart - OVERSCAN_PX;
+        const rangeEnd = viewportStart + viewportHeight + OVERSCAN_PX;
+
+        let first = this.messages.length;
+        let last = -1;
+        let offset = 0;
+        let beforeHeight = 0;
+        let renderedEnd = 0;
+        heights.forEach((height, index) => {
+            if (offset + height >= rangeStart && offset <= rangeEnd) {
+                if (last === -1) {
+                    first = index;
+                    beforeHeight = offset;
+                }
+                last = index;
+                renderedEnd = offset + height;
+            }
+            offset += height;
+        });
+        const afterHeight = totalHeight - renderedEnd;
+
+        // Unmount rows that scrolled out of range
+        this.messages.forEach((entry, index) => {
+            if (entry.element && (index < first || index > last)) {
+                entry.element.remove();
+                entry.element = null;
+            }
+        });
+
+        // Mount rows in range, keeping DOM order oldest first
+        let cursor = this.beforeSpacer.nextSibling;
+        const mounted = [];
+        for (let index = first; index <= last; index++) {
+            const entry = this.messages[index];
+            if (!entry.element) {
+                entry.element = this._createRowElement(entry);
+                mounted.push(entry);
+            }
+            if (entry.element === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                this.container.insertBefore(entry.element, cursor);
+            }
+        }
+
+        this.beforeSpacer.style.height = `${beforeHeight}px`;
+        this.afterSpacer.style.height = `${Math.max(0, afterHeight)}px`;
+
+        if (canMeasure) {
+            mounted.forEach(entry => {
+                entry.height = entry.element.offsetHeight;
+            });
+        }
+
+        // Auto-scroll if enabled
+        if (pinned) {
+            this._scrollToBottom();
+        }
+    }
+
+    /**
+     * Forward clicks on usernames to onAuthorClick
+     * @private
+     */
+    _setupAuthorClicks() {
+        this._authorClickHandler = (e) => {
+            const authorEl = e.target.closest('.chatover-message-author');
+            if (!authorEl || !this.onAuthorClick) return;
+
+            const id = authorEl.closest('.chatover-message')?.dataset.messageId;
+            const entry = id && this.messages.find(m => m.id === id);
+            if (!entry?.message) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.onAuthorClick(entry.message, e);
+        };
+        this.container.addEventListener('click', this._authorClickHandler);
+    }
+
+    /**
+     * Forward right-clicks and long presses on messages to onMessageMenu
+     * The click that ends a long press is swallowed so it doesn't also expand a row or open a user card
+     * @private
+     */
+    _setupMessageMenu() {
+        const openFor = (target, position) => {
+            const id = target.closest('.chatover-message')?.dataset.messageId;
+            const entry = id && this.messages.find(m => m.id === id);
+            if (!entry?.message || !this.onMessageMenu) return false;
+            this.onMessageMenu(entry.message, position);
+            return true;
+        };
+
+        this._longPress = null; // { timer, x, y, fired }
+        this._messageMenuHandlers = {
+            contextmenu: (e) => {
+                // Selected text keeps the browser's menu (selectableMessages)
+                if (!window.getSelection()?.isCollapsed) return;
+                if (openFor(e.target, e)) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            },
+            pointerdown: (e) => {
+                this._cancelLongPress();
+                if (e.pointerType === 'mouse' || !e.target.closest('.chatover-message')) return;
+
+                const target = e.target;
+                const position = { clientX: e.clientX, clientY: e.clientY };
+                this._longPress = {
+                    x: e.clientX,
+                    y: e.clientY,
+                    fired: false,
+                    timer: setTimeout(() => {
+                        this._longPress.fired = openFor(target, position);
+                    }, LONG_PRESS_MS)
+                };
+            },
+            pointermove: (e) => {
+                if (!this._longPress || this._longPress.fired) return;
+                if (Math.hypot(e.clientX - this._longPress.x, e.clientY - this._longPress.y) > LONG_PRESS_MOVE_TOLERANCE_PX) {
+                    this._cancelLongPress();
+                }
+            },
+            pointerup: () => {
+                if (this._longPress && !this._longPress.fired) {
+                    this._cancelLongPress();
+                }
+            },
+            pointercancel: () => this._cancelLongPress(),
+            click: (e) => {
+                if (!this._longPress?.fired) return;
+                this._cancelLongPress();
+                e.preventDefault();
+                e.stopPropagation();
             }
+        };
+
+        // Capture phase, so the swallowed click never reaches the row or author handlers
+        Object.entries(this._messageMenuHandlers).forEach(([event, handler]) => {
+            this.container.addEventListener(event, handler, true);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _cancelLongPress() {
+        if (this._longPress) {
+            clearTimeout(this._longPress.timer);
+            this._longPress = null;
+        }
+    }
+
+    /**
+     * Whether new messages should scroll the list (at the newest end and not paused by hover)
+     * @private
+     */
+    _isPinned() {
+        return this.autoScroll && !this.hoverPaused;
+    }
+
+    /**
+     * Create the floating "N new messages" pill
+     * It is the last child of the list and sticks to the newest edge in both directions
+     * @private
+     */
+    _createNewMessagesPill() {
+        this.newMessagesPill = document.createElement('button');
+        this.newMessagesPill.className = 'chatover-new-messages';
+        this.newMessagesPill.hidden = true;
+        this.newMessagesPill.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.scrollToNewest();
+        });
+        this.container.appendChild(this.newMessagesPill);
+    }
+
+    /**
+     * Update the unseen message count and the pill
+     * @private
+     */
+    _setUnseenCount(count) {
+        this.unseenCount = count;
+        if (!this.newMessagesPill) return;
+
+        this.newMessagesPill.hidden = count === 0;
+        if (count > 0) {
+            const arrow = this._isNewestAtTop() ? '↑' : '↓';
+            this.newMessagesPill.textContent = `${count.toLocaleString()} new message${count === 1 ? '' : 's'} ${arrow}`;
         }
     }
 
+    /**
+     * Pause auto-scroll while the mouse is over the list (pauseOnHover setting)
+     * @private
+     */
+    _setupHoverPause() {
+        this._hoverHandlers = {
+            mouseenter: () => {
+                if (!getSetting('pauseOnHover')) return;
+                this.hoverPaused = true;
+                this._resumeOnLeave = this.autoScroll;
+            },
+            wheel: () => {
+                // Scrolling by hand while paused decides where the list stays
+                this._resumeOnLeave = false;
+            },
+            mouseleave: () => {
+                if (!this.hoverPaused) return;
+                this.hoverPaused = false;
+                if (this._resumeOnLeave || this.autoScroll) {
+                    this.scrollToNewest();
+                }
+            }
+        };
+        Object.entries(this._hoverHandlers).forEach(([event, handler]) => {
+            this.container.addEventListener(event, handler, { passive: true });
+        });
+    }
+
+    /**
+     * Create the DOM row for a history entry, including its deleted / resurfaced state
+     * @private
+     */
+    _createRowElement(entry) {
+        const el = entry.skipped
+            ? this._createSkippedElement(entry.skipped)
+            : this._createMessageElement(entry.message);
+
+        if (entry.removal) {
+            this._applyDeletedState(el, entry.removal, getSetting('deletedMessageMode') || 'replace');
+        }
+        if (entry.resurfaced) {
+            el.classList.add('chatover-message-resurfaced');
+        }
+        this._applyRepeatCount(el, entry);
+        if (entry.message?.ruleInfo?.collapsed) {
+            // Collapsed by a filter rule - clicking shows the text, the state survives re-rendering
+            el.classList.toggle('chatover-message-expanded', entry.expanded);
+            el.addEventListener('click', (e) => {
+                if (e.target.closest('.chatover-message-author')) return;
+                entry.expanded = !entry.expanded;
+                el.classList.toggle('chatover-message-expanded', entry.expanded);
+                this._scheduleRender();
+            });
+        }
+        entry.expired = this.displayMode === DisplayMode.EPHEMERAL && this._isExpired(entry, Date.now());
+        if (entry.expired) {
+            el.classList.add('chatover-message-expired');
+        }
+        return el;
+    }
+
+    /**
+     * Whether an entry's ephemeral lifetime is over
+     * Super Chats, stickers, memberships and gifts use the longer highlight lifetime
+     * @private
+     */
+    _isExpired(entry, now) {
+        const isHighlight = entry.message && HIGHLIGHT_TYPES.has(entry.message.type);
+        const lifetimeSeconds = isHighlight
+            ? getSetting('ephemeralHighlightDuration')
+            : getSetting('ephemeralDuration');
+        return now - entry.addedAt > lifetimeSeconds * 1000;
+    }
+
+    /**
+     * Fade out rendered rows whose lifetime is over (and bring back ones a longer lifetime covers again)
+     * Rows that aren't rendered get their state when they are created
+     * @private
+     */
+    _expireMessages() {
+        const now = Date.now();
+        this.messages.forEach(entry => {
+            if (!entry.element) return;
+            const expired = this._isExpired(entry, now);
+            if (expired !== entry.expired) {
+                entry.expired = expired;
+                entry.element.classList.toggle('chatover-message-expired', expired);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _startExpiryTimer() {
+        if (this._expiryTimer) return;
+        this._expiryTimer = setInterval(() => this._expireMessages(), EXPIRY_INTERVAL_MS);
+    }
+
+    /**
+     * @private
+     */
+    _stopExpiryTimer() {
+        if (this._expiryTimer) {
+            clearInterval(this._expiryTimer);
+            this._expiryTimer = null;
+        }
+    }
+
+    /**
+     * Average height of rendered rows, used for rows that haven't been rendered
+     * @private
+     */
+    _getEstimatedHeight() {
+        let total = 0;
+        let count = 0;
+        this.messages.forEach(entry => {
+            if (entry.height) {
+                total += entry.height;
+                count++;
+            }
+        });
+        return count > 0 ? total / count : DEFAULT_ROW_HEIGHT;
+    }
+
+    /**
+     * Offset of a row along the list from the oldest message
+     * @private
+     */
+    _getOffsetOf(target) {
+        const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+        const estimate = this._getEstimatedHeight();
+        let offset = 0;
+        for (const entry of this.messages) {
+            if (entry === target) break;
+            offset += (entry.height ?? estimate) + gap;
+        }
+        return offset;
+    }
+
+    /**
+     * How far the visible area starts from the oldest message
+     * @private
+     */
+    _getScrollOffset() {
+        if (this._isNewestAtTop()) {
+            // In column-reverse mode the oldest message is at the visual bottom, where scrollTop is 0
+            return -this.container.scrollTop;
+        }
+        return this.container.scrollTop;
+    }
+
+    /**
+     * Scroll so the visible area starts at an offset from the oldest message
+     * @private
+     */
+    _scrollToOffset(offset) {
+        this.container.scrollTop = this._isNewestAtTop() ? -offset : offset;
+    }
+
+    /**
+     * @private
+     */
+    _isNewestAtTop() {
+        return (getSetting('messageDirection') || 'bottom') === 'top';
+    }
+
     /**
      * Set up scroll tracking for auto-scroll
      * @private
      */
     _setupScrollTracking() {
         this._scrollHandler = () => {
-            const direction = getSetting('messageDirection') || 'bottom';
-            if (direction === 'top') {
+            if (this._isNewestAtTop()) {
                 // In column-reverse mode, scrollTop is negative and 0 is visual bottom
                 // Near visual top = scrollTop close to -scrollHeight (most negative)
                 const maxNegativeScroll = -(this.container.scrollHeight - this.container.clientHeight);
@@ -304,6 +1710,13 @@ export class MessageRenderer {
                 const isNearBottom = this.container.scrollHeight - this.container.scrollTop - this.container.clientHeight < 50;
                 this.autoScroll = isNearBottom;
             }
+
+            if (this.autoScroll && !this.hoverPaused) {
+                this._setUnseenCount(0);
+            }
+
+            // Rows coming into view need rendering
+            this._scheduleRender();
         };
         this.container.addEventListener('scroll', this._scrollHandler);
     }
@@ -313,8 +1726,7 @@ export class MessageRenderer {
      * @private
      */
     _scrollToBottom() {
-        const direction = getSetting('messageDirection') || 'bottom';
-        if (direction === 'top') {
+        if (this._isNewestAtTop()) {
             // In column-reverse mode, use negative scrollTop to reach visual top
             this.container.scrollTop = -this.container.scrollHeight;
         } else {
@@ -0,0 +1,237 @@
+/**
+ * PollPanel - Renders live chat polls above the messages
+ */
+
+/**
+ * PollPanel shows the active poll with live percentage bars and voting
+ */
+export class PollPanel {
+    /**
+     * @param {HTMLElement} container - The poll container element
+     * @param {object} options - Panel options
+     * @param {Function} [options.onVote] - Called with (poll, choiceIndex), returns Promise<{success, error?}>
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onVote = options.onVote || null;
+        this.poll = null;
+        this.votedIndex = null;
+        this.isVoting = false;
+        this.collapsed = false;
+        this.dismissedPolls = new Set();
+    }
+
+    /**
+     * Show a new poll or update the active one in place
+     * @param {object} poll - Poll object from MessageParser
+     */
+    show(poll) {
+        if (!this.container || !poll) return;
+
+        const isSamePoll = this.poll && this.poll.id === poll.id;
+
+        if (isSamePoll) {
+            // Updates don't always repeat the question, keep what we already know
+            this.poll = {
+                ...poll,
+                panelId: poll.panelId || this.poll.panelId,
+                question: poll.question || this.poll.question
+            };
+        } else {
+            this.poll = poll;
+            this.votedIndex = null;
+            this.collapsed = false;
+        }
+
+        if (this.dismissedPolls.has(poll.id)) return;
+
+        if (isSamePoll && this.container.querySelector('.chatover-poll-choice')) {
+            this._updateResults();
+        } else {
+            this._render();
+        }
+    }
+
+    /**
+     * Close a poll by ID (poll ID or the panel ID it was shown with)
+     * @param {string} id - Poll or panel ID
+     */
+    close(id) {
+        if (!this.poll) return;
+        if (this.poll.id !== id && this.poll.panelId !== id) return;
+        this.clear();
+    }
+
+    /**
+     * Remove the active poll
+     */
+    clear() {
+        this.poll = null;
+        this.votedIndex = null;
+        this._hide();
+    }
+
+    /**
+     * Destroy the panel
+     */
+    destroy() {
+        this.clear();
+        this.container = null;
+        this.onVote = null;
+    }
+
+    /**
+     * Build the poll DOM
+     * @private
+     */
+    _render() {
+        const poll = this.poll;
+        const question = poll.question || 'Poll';
+
+        this.container.innerHTML = `
+            <div class="chatover-poll-header">
+                <span class="chatover-poll-icon">📊</span>
+                <span class="chatover-poll-question">${this._escapeHtml(question)}</span>
+                <button class="chatover-poll-toggle" title="${this.collapsed ? 'Expand' : 'Collapse'}">${this.collapsed ? '▸' : '▾'}</button>
+                <button class="chatover-poll-dismiss" title="Dismiss">×</button>
+            </div>
+            <div class="chatover-poll-body">
+                ${poll.choices.map((choice, index) => `
+                    <button class="chatover-poll-choice" data-index="${index}" ${choice.selectEndpoint ? '' : 'disabled'}>
+                        <span class="chatover-poll-bar"></span>
+                        <span class="chatover-poll-choice-text">${this._escapeHtml(choice.text)}</span>
+                        <span class="chatover-poll-percentage"></span>
+                    </button>
+                `).join('')}
+                <div class="chatover-poll-footer">
+                    <span class="chatover-poll-total"></span>
+                    <span class="chatover-poll-message"></span>
+                </div>
+            </div>
+        `;
+
+        this.container.classList.add('chatover-poll-visible');
+        this.container.classList.toggle('chatover-poll-collapsed', this.collapsed);
+
+        this.container.querySelector('.chatover-poll-toggle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.collapsed = !this.collapsed;
+            this._render();
+        });
+
+        this.container.querySelector('.chatover-poll-dismiss').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.dismissedPolls.add(poll.id);
+            this._hide();
+        });
+
+        this.container.querySelectorAll('.chatover-poll-choice').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this._vote(parseInt(button.dataset.index, 10));
+            });
+        });
+
+        this._updateResults();
+    }
+
+    /**
+     * Update bars, percentages and vote count without rebuilding the DOM
+     * @private
+     */
+    _updateResults() {
+        const poll = this.poll;
+
+        const questionEl = this.container.querySelector('.chatover-poll-question');
+        if (questionEl && poll.question) {
+            questionEl.textContent = poll.question;
+        }
+
+        // Results are only shown once YouTube sends them (usually after voting or for the creator)
+        const hasResults = poll.choices.some(choice => choice.percentage !== null);
+        this.container.classList.toggle('chatover-poll-has-results', hasResults);
+
+        this.container.querySelectorAll('.chatover-poll-choice').forEach(button => {
+            const index = parseInt(button.dataset.index, 10);
+            const choice = poll.choices[index];
+            if (!choice) return;
+
+            const percentage = index === this.votedIndex && choice.percentageIfSelected !== null
+                ? choice.percentageIfSelected
+                : choice.percentage;
+
+            button.querySelector('.chatover-poll-bar').style.width = `${percentage || 0}%`;
+            button.querySelector('.chatover-poll-percentage').textContent = percentage !== null ? `${Math.round(percentage)}%` : '';
+            button.classList.toggle('chatover-poll-choice-voted', index === this.votedIndex);
+            button.disabled = !choice.selectEndpoint || this.isVoting;
+        });
+
+        const totalEl = this.container.querySelector('.chatover-poll-total');
+        if (totalEl) {
+            totalEl.textContent = poll.totalVotes || '';
+        }
+    }
+
+    /**
+     * Vote for a choice through the onVote callback
+     * @private
+     */
+    async _vote(index) {
+        const poll = this.poll;
+        const choice = poll?.choices[index];
+        if (!choice || !this.onVote || this.isVoting) return;
+
+        this.isVoting = true;
+        this._updateResults();
+
+        const result = await this.onVote(poll, index);
+
+        this.isVoting = false;
+
+        // Poll may have been replaced or closed while the vote was in flight
+        if (this.poll !== poll && this.poll?.id !== poll.id) return;
+
+        if (result?.success) {
+            this.votedIndex = index;
+            this._showMessage('');
+        } else if (result?.error === 'not_signed_in') {
+            this._showMessage('Sign in to YouTube to vote');
+        } else {
+            this._showMessage('Vote failed');
+        }
+
+        this._updateResults();
+    }
+
+    /**
+     * Show a short message in the poll footer
+     * @private
+     */
+    _showMessage(text) {
+        const messageEl = this.container?.querySelector('.chatover-poll-message');
+        if (messageEl) {
+            messageEl.textContent = text;
+        }
+    }
+
+    /**
+     * Empty and hide the poll container
+     * @private
+     */
+    _hide() {
+        if (!this.container) return;
+        this.container.innerHTML = '';
+        this.container.classList.remove('chatover-poll-visible', 'chatover-poll-collapsed', 'chatover-poll-has-results');
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
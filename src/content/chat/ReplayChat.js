@@ -0,0 +1,330 @@
+/**
+ * ReplayChat - Chat replay for finished streams and premieres
+ * Fetches replay chat by video offset and plays it back in sync with the <video> element
+ */
+
+import { YTNodes } from 'youtubei.js/web';
+
+/**
+ * How often playback position is checked
+ */
+const TICK_INTERVAL_MS = 250;
+
+/**
+ * Keep at least this much chat buffered ahead of the playhead
+ */
+const PREFETCH_AHEAD_MS = 20000;
+
+/**
+ * A playhead jump bigger than this between ticks is treated as a seek even without
+ * a 'seeked' event (e.g. the <video> element was swapped); kept well above the
+ * 500ms per tick of 2x playback so throttled timers in background tabs don't trip it
+ */
+const SEEK_THRESHOLD_MS = 5000;
+
+/**
+ * Actions before the playhead shown right after loading or seeking
+ */
+const BACKFILL_ACTIONS = 50;
+
+/**
+ * Failed fetches in a row before giving up
+ */
+const MAX_FETCH_RETRIES = 10;
+const FETCH_RETRY_DELAY_MS = 2000;
+
+/**
+ * ReplayChat mirrors the parts of youtubei.js's LiveChat that ChatManager uses
+ * (on, start, stop, applyFilter, initial_info and the 'start' / 'chat-update' /
+ * 'error' / 'end' events), so a replay can be handled like a live chat.
+ *
+ * Every load (first start, seek, filter switch) emits 'start' again with no actions,
+ * followed by the actions leading up to the playhead.
+ */
+export class ReplayChat {
+    /**
+     * @param {object} actions - Innertube actions (innertube.actions)
+     * @param {string} continuation - Reload continuation from the video info
+     * @param {Function} getVideo - Returns the <video> element being played
+     */
+    constructor(actions, continuation, getVideo) {
+        this.actions = actions;
+        this.reloadContinuation = continuation;
+        this.getVideo = getVideo;
+        this.initial_info = null;
+        this.running = false;
+        this.is_replay = true;
+
+        this.buffer = []; // { offsetMs, actions } sorted by offset
+        this.continuation = null; // Next chunk after the buffer
+        this.isFetching = false;
+        this.generation = 0; // Bumped on every reload so stale responses are dropped
+        this.lastOffsetMs = null;
+        this.retryCount = 0;
+        this.retryAt = 0;
+
+        this.video = null; // <video> element the 'seeked' listener is on
+        this.seekPending = false;
+        this._seekedHandler = () => {
+            this.seekPending = true;
+        };
+
+        this._tickTimer = null;
+        this.listeners = {
+            start: [],
+            'chat-update': [],
+            error: [],
+            end: []
+        };
+    }
+
+    /**
+     * Subscribe to replay events
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].push(callback);
+        }
+    }
+
+    /**
+     * Start playing back chat from the current video position
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this._reload(this._getOffsetMs() ?? 0);
+        this._tickTimer = setInterval(() => this._tick(), TICK_INTERVAL_MS);
+    }
+
+    /**
+     * Stop playback and drop pending responses
+     */
+    stop() {
+        this.running = false;
+        this.generation++;
+        this.buffer = [];
+        if (this._tickTimer) {
+            clearInterval(this._tickTimer);
+            this._tickTimer = null;
+        }
+        this._watchVideo(null);
+    }
+
+    /**
+     * Switch between Top chat replay and Live chat replay
+     * @param {string} filter - 'TOP_CHAT' or 'LIVE_CHAT'
+     */
+    applyFilter(filter) {
+        if (!this.initial_info) {
+            throw new Error('Cannot apply filter before initial info is retrieved.');
+        }
+
+        const item = this.initial_info.header?.view_selector?.sub_menu_items?.at(filter === 'TOP_CHAT' ? 0 : 1);
+        if (!item || item.selected || !item.continuation) return;
+
+        this.reloadContinuation = item.continuation;
+        this._reload(this._getOffsetMs() ?? this.lastOffsetMs ?? 0);
+    }
+
+    /**
+     * Follow the playhead: detect seeks, emit due actions, keep the buffer filled
+     * @private
+     */
+    _tick() {
+        if (!this.running) return;
+
+        this._watchVideo(this.getVideo?.() || null);
+        const offsetMs = this._getOffsetMs();
+        if (offsetMs === null) return;
+
+        const previousOffsetMs = this.lastOffsetMs;
+        this.lastOffsetMs = offsetMs;
+
+        // Any seek, however short (the player's 5s skip buttons), reloads around the new position
+        const jumped = previousOffsetMs !== null && Math.abs(offsetMs - previousOffsetMs) > SEEK_THRESHOLD_MS;
+        if (this.seekPending || jumped) {
+            this.seekPending = false;
+            this._reload(offsetMs);
+            return;
+        }
+
+        // Paused video doesn't move the playhead, so nothing new is emitted
+        while (this.buffer.length > 0 && this.buffer[0].offsetMs <= offsetMs) {
+            this._emitActions(this.buffer.shift().actions);
+        }
+
+        const bufferedUntil = this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].offsetMs : -Infinity;
+        if (this.continuation && bufferedUntil < offsetMs + PREFETCH_AHEAD_MS) {
+            this._fetchNext();
+        }
+    }
+
+    /**
+     * Load chat around an offset with the reload continuation (first start, seeks, filter switches)
+     * @private
+     */
+    async _reload(offsetMs) {
+        const generation = ++this.generation;
+        this.buffer = [];
+        this.continuation = null;
+        this.isFetching = true;
+        this.lastOffsetMs = offsetMs;
+
+        const contents = await this._fetch(this.reloadContinuation, offsetMs, generation);
+        if (!contents) {
+            if (generation === this.generation && this.running) {
+                // Try the whole reload again from wherever the video is now
+                setTimeout(() => {
+                    if (generation === this.generation && this.running) {
+                        this._reload(this._getOffsetMs() ?? offsetMs);
+                    }
+                }, FETCH_RETRY_DELAY_MS);
+            }
+            return;
+        }
+
+        this.initial_info = contents;
+        this._emit('start', { header: contents.header, action_panel: contents.action_panel, actions: [] });
+
+        // Show what was said just before the playhead, keep the rest for later
+        const currentOffsetMs = this._getOffsetMs() ?? offsetMs;
+        const entries = this._toEntries(contents.actions);
+        const due = entries.filter(entry => entry.offsetMs <= currentOffsetMs);
+        this.buffer = entries.filter(entry => entry.offsetMs > currentOffsetMs);
+        this.lastOffsetMs = currentOffsetMs;
+
+        due.flatMap(entry => entry.actions).slice(-BACKFILL_ACTIONS).forEach(action => this._emit('chat-update', action));
+    }
+
+    /**
+     * Fetch the chunk after the buffer
+     * @private
+     */
+    async _fetchNext() {
+        if (this.isFetching || Date.now() < this.retryAt) return;
+
+        const generation = this.generation;
+        this.isFetching = true;
+
+        const contents = await this._fetch(this.continuation, this.lastOffsetMs ?? 0, generation);
+        if (!contents) return;
+
+        const lastOffsetMs = this.buffer.length > 0 ? this.buffer[this.buffer.length - 1].offsetMs : -Infinity;
+        this._toEntries(contents.actions)
+            .filter(entry => entry.offsetMs > lastOffsetMs)
+            .forEach(entry => this.buffer.push(entry));
+    }
+
+    /**
+     * Request a replay chunk, returning null on failure or if a reload happened meanwhile
+     * @private
+     */
+    async _fetch(continuation, offsetMs, generation) {
+        try {
+            const response = await this.actions.execute('live_chat/get_live_chat_replay', {
+                continuation,
+                currentPlayerState: { playerOffsetMs: String(Math.floor(offsetMs)) },
+                parse: true
+            });
+
+            if (generation !== this.generation) return null;
+            this.isFetching = false;
+
+            const contents = response.continuation_contents;
+            if (contents?.type !== 'liveChatContinuation') {
+                throw new Error('Unexpected live chat replay response');
+            }
+
+            // No continuation means the end of the replay
+            this.continuation = contents.continuation?.token || null;
+            this.retryCount = 0;
+            return contents;
+        } catch (error) {
+            if (generation !== this.generation) return null;
+            this.isFetching = false;
+
+            this._emit('error', error);
+
+            if (this.retryCount++ >= MAX_FETCH_RETRIES) {
+                this.stop();
+                this._emit('error', new Error('Reached retry limit for chat replay requests'));
+                this._emit('end');
+                return null;
+            }
+
+            this.retryAt = Date.now() + FETCH_RETRY_DELAY_MS;
+            return null;
+        }
+    }
+
+    /**
+     * Unwrap ReplayChatItemActions into offset-tagged groups
+     * @private
+     */
+    _toEntries(actions) {
+        if (!actions) return [];
+
+        return actions
+            .filter(action => action.is(YTNodes.ReplayChatItemAction))
+            .map(action => {
+                const replay = action.as(YTNodes.ReplayChatItemAction);
+                return {
+                    offsetMs: parseInt(replay.video_offset_time_msec, 10) || 0,
+                    actions: replay.actions || []
+                };
+            })
+            .sort((a, b) => a.offsetMs - b.offsetMs);
+    }
+
+    /**
+     * Emit actions due at the playhead
+     * @private
+     */
+    _emitActions(actions) {
+        actions.forEach(action => this._emit('chat-update', action));
+    }
+
+    /**
+     * Move the 'seeked' listener to the current <video> element
+     * @private
+     */
+    _watchVideo(video) {
+        if (video === this.video) return;
+
+        if (this.video) {
+            this.video.removeEventListener('seeked', this._seekedHandler);
+        }
+        this.video = video;
+        if (video) {
+            video.addEventListener('seeked', this._seekedHandler);
+        }
+    }
+
+    /**
+     * Current video position in ms, or null if there's no video
+     * @private
+     */
+    _getOffsetMs() {
+        const video = this.getVideo?.();
+        if (!video || isNaN(video.currentTime)) return null;
+        return video.currentTime * 1000;
+    }
+
+    /**
+     * @private
+     */
+    _emit(event, data) {
+        if (this.listeners[event]) {
+            this.listeners[event].forEach(callback => {
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`ChatOver: Error in replay ${event} listener:`, error);
+                }
+            });
+        }
+    }
+}
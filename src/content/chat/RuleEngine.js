@@ -0,0 +1,168 @@
+/**
+ * RuleEngine - User filter rules evaluated against parsed messages
+ */
+
+import { MessageType, getPlainText } from './MessageParser.js';
+
+/**
+ * What part of a message a rule looks at
+ */
+export const RuleField = {
+    TEXT: 'text',       // Message text (emotes as their shortcode)
+    AUTHOR: 'author',   // Author display name
+    CHANNEL: 'channel', // Author channel ID (exact match unless regex)
+    ROLE: 'role',       // owner, moderator, member, verified or regular
+    TYPE: 'type',       // MessageType value (text, paid, sticker, membership, ...)
+    BADGE: 'badge'      // Badge label or type (e.g. "Member (6 months)", "moderator")
+};
+
+/**
+ * What happens to a matching message
+ * If several rules match, hide wins; highlight uses the first matching rule's color
+ */
+export const RuleAction = {
+    HIDE: 'hide',
+    HIGHLIGHT: 'highlight',
+    COLLAPSE: 'collapse', // Show the author only, text on click
+    NOTIFY: 'notify'      // Also pop up a notice in the overlay
+};
+
+/**
+ * Default color for new highlight rules
+ */
+const DEFAULT_HIGHLIGHT_COLOR = '#ffd600';
+
+/**
+ * Create a new rule with defaults
+ * @param {object} [overrides] - Fields to set on the new rule
+ * @returns {object} Rule object
+ */
+export function createRule(overrides = {}) {
+    return {
+        id: `rule_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+        enabled: true,
+        field: RuleField.TEXT,
+        pattern: '',
+        regex: false,
+        action: RuleAction.HIDE,
+        color: DEFAULT_HIGHLIGHT_COLOR,
+        ...overrides
+    };
+}
+
+/**
+ * Check a rule's pattern
+ * @param {object} rule - Rule object
+ * @returns {string|null} Error text, or null if the rule is usable
+ */
+export function validateRule(rule) {
+    if (!rule.regex) return null;
+    try {
+        new RegExp(rule.pattern, 'i');
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * RuleEngine compiles the rule list once and matches each message against it.
+ * Disabled rules, empty patterns and invalid regexes never match.
+ */
+export class RuleEngine {
+    constructor() {
+        this.rules = []; // { rule, test }
+    }
+
+    /**
+     * Replace the rule list
+     * @param {object[]} rules - Rule objects (see createRule)
+     */
+    setRules(rules) {
+        this.rules = (rules || [])
+            .filter(rule => rule.enabled && rule.pattern && !validateRule(rule))
+            .map(rule => ({ rule, test: this._compile(rule) }));
+    }
+
+    /**
+     * Apply the rules to a message
+     * @param {object} message - Normalized message object from MessageParser
+     * @returns {object|null} The message (a copy with ruleInfo if any rule matched), or null if hidden
+     */
+    apply(message) {
+        if (!message || this.rules.length === 0 || message.type === MessageType.SYSTEM) return message;
+
+        const matched = this.rules.filter(({ rule, test }) => this._getValues(message, rule.field).some(test));
+        if (matched.length === 0) return message;
+
+        const actions = new Set(matched.map(({ rule }) => rule.action));
+        if (actions.has(RuleAction.HIDE)) return null;
+
+        const highlight = matched.find(({ rule }) => rule.action === RuleAction.HIGHLIGHT);
+        return {
+            ...message,
+            ruleInfo: {
+                highlightColor: highlight ? highlight.rule.color : null,
+                collapsed: actions.has(RuleAction.COLLAPSE),
+                notify: actions.has(RuleAction.NOTIFY)
+            }
+        };
+    }
+
+    /**
+     * Build the matcher for a rule
+     * @private
+     */
+    _compile(rule) {
+        if (rule.regex) {
+            const regex = new RegExp(rule.pattern, 'i');
+            return (value) => regex.test(value);
+        }
+
+        const pattern = rule.pattern.toLowerCase();
+
+        // IDs and fixed values have to match exactly, free text just has to contain the pattern
+        if (rule.field === RuleField.CHANNEL || rule.field === RuleField.ROLE || rule.field === RuleField.TYPE) {
+            return (value) => value.toLowerCase() === pattern;
+        }
+        return (value) => value.toLowerCase().includes(pattern);
+    }
+
+    /**
+     * Values of a message a rule field is matched against
+     * @private
+     */
+    _getValues(message, field) {
+        const author = message.author || {};
+
+        switch (field) {
+            case RuleField.TEXT:
+                return [getPlainText(message.message)];
+            case RuleField.AUTHOR:
+                return [author.name || ''];
+            case RuleField.CHANNEL:
+                return [author.channelId || ''];
+            case RuleField.ROLE:
+                return this._getRoles(author);
+            case RuleField.TYPE:
+                return [message.type];
+            case RuleField.BADGE:
+                return (message.badges || []).flatMap(badge => [badge.label || '', badge.type || '']);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getRoles(author) {
+        const roles = [];
+        if (author.isOwner) roles.push('owner');
+        if (author.isModerator) roles.push('moderator');
+        if (author.isMember) roles.push('member');
+        if (author.isVerified) roles.push('verified');
+        if (roles.length === 0) roles.push('regular');
+        return roles;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * StreamStats - Viewer count, likes, title, duration and Super Chat total in the overlay header
+ */
+
+import { getSetting } from '../settings/SettingsManager.js';
+import { convert, formatAmount } from './Currency.js';
+
+/**
+ * How often the stream duration is refreshed
+ */
+const DURATION_INTERVAL_MS = 1000;
+
+/**
+ * StreamStats renders stream metadata, with each stat toggled by a setting
+ */
+export class StreamStats {
+    /**
+     * @param {HTMLElement} container - The stats container element
+     */
+    constructor(container) {
+        this.container = container;
+        this.stats = {
+            title: '',
+            viewers: null,
+            viewersText: '',
+            likesText: '',
+            startTime: null,
+            paidTotals: {} // Session total per currency code
+        };
+        this._countedPaidIds = new Set(); // Messages are sent again on a filter switch or replay seek
+        this._durationTimer = null;
+    }
+
+    /**
+     * Set the stream info known at connect time
+     * @param {{title: string, startTime: Date|null}|null} info - Stream info from ChatManager
+     */
+    setStreamInfo(info) {
+        if (!info) return;
+        this.stats.title = this.stats.title || info.title || '';
+        this.stats.startTime = info.startTime || null;
+        this.refresh();
+    }
+
+    /**
+     * Apply a metadata update
+     * @param {object} metadata - Parsed metadata from the ChatManager 'metadata' event
+     */
+    update(metadata) {
+        if (!metadata) return;
+        if (metadata.title) this.stats.title = metadata.title;
+        if (metadata.viewers !== null) this.stats.viewers = metadata.viewers;
+        if (metadata.viewersText) this.stats.viewersText = metadata.viewersText;
+        if (metadata.likesText) this.stats.likesText = metadata.likesText;
+        this.refresh();
+    }
+
+    /**
+     * Add a Super Chat or Super Sticker to the session total
+     * @param {object} message - Normalized message object from MessageParser
+     */
+    addPaidMessage(message) {
+        const amount = message?.paidInfo?.amount;
+        if (!amount?.currency || amount.value === null || this._countedPaidIds.has(message.id)) return;
+
+        this._countedPaidIds.add(message.id);
+        this.stats.paidTotals[amount.currency] = (this.stats.paidTotals[amount.currency] || 0) + amount.value;
+        this.refresh();
+    }
+
+    /**
+     * Re-render the stats (call after the visible stats settings change)
+     */
+    refresh() {
+        if (!this.container) return;
+
+        const parts = [];
+
+        if (getSetting('showViewerCount') && (this.stats.viewersText || this.stats.viewers !== null)) {
+            const viewers = this.stats.viewersText || this.stats.viewers.toLocaleString();
+            parts.push(`<span class="chatover-stat chatover-stat-viewers" title="Watching now">👁 ${this._escapeHtml(viewers)}</span>`);
+        }
+
+        if (getSetting('showLikeCount') && this.stats.likesText) {
+            parts.push(`<span class="chatover-stat chatover-stat-likes" title="Likes">👍 ${this._escapeHtml(this.stats.likesText)}</span>`);
+        }
+
+        const showDuration = getSetting('showStreamDuration') && this.stats.startTime;
+        if (showDuration) {
+            parts.push(`<span class="chatover-stat chatover-stat-duration" title="Live for">⏱ ${this._formatDuration()}</span>`);
+        }
+
+        const paidCurrencies = Object.keys(this.stats.paidTotals);
+        if (getSetting('showPaidTotals') && paidCurrencies.length > 0) {
+            const totals = paidCurrencies.map(currency => formatAmount(this.stats.paidTotals[currency], currency)).join(' · ');
+            const converted = this._getConvertedPaidTotal();
+            const convertedText = converted ? ` (≈ ${converted})` : '';
+            parts.push(`<span class="chatover-stat chatover-stat-paid" title="Super Chats this session">💰 ${this._escapeHtml(totals + convertedText)}</span>`);
+        }
+
+        if (getSetting('showStreamTitle') && this.stats.title) {
+            parts.push(`<span class="chatover-stat chatover-stat-title" title="${this._escapeHtml(this.stats.title)}">${this._escapeHtml(this.stats.title)}</span>`);
+        }
+
+        this.container.innerHTML = parts.join('');
+
+        if (showDuration) {
+            this._startDurationTimer();
+        } else {
+            this._stopDurationTimer();
+        }
+    }
+
+    /**
+     * Destroy the stats and stop the duration timer
+     */
+    destroy() {
+        this._stopDurationTimer();
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.container = null;
+    }
+
+    /**
+     * Format time since stream start as H:MM:SS
+     * @private
+     */
+    _formatDuration() {
+        const totalSeconds = Math.max(0, Math.floor((Date.now() - this.stats.startTime.getTime()) / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    /**
+     * All currencies added up in the home currency, if any of them needed converting
+     * Amounts in currencies without a rate are left out of the sum
+     * @private
+     */
+    _getConvertedPaidTotal() {
+        const homeCurrency = getSetting('homeCurrency');
+        const currencies = Object.keys(this.stats.paidTotals);
+        if (!homeCurrency || currencies.every(currency => currency === homeCurrency)) return '';
+
+        const total = currencies.reduce((sum, currency) => sum + (convert(this.stats.paidTotals[currency], currency, homeCurrency) || 0), 0);
+        return formatAmount(total, homeCurrency);
+    }
+
+    /**
+     * Keep the duration ticking without re-rendering the other stats
+     * @private
+     */
+    _startDurationTimer() {
+        if (this._durationTimer) return;
+        this._durationTimer = setInterval(() => {
+            const durationEl = this.container?.querySelector('.chatover-stat-duration');
+            if (durationEl && this.stats.startTime) {
+                durationEl.textContent = `⏱ ${this._formatDuration()}`;
+            }
+        }, DURATION_INTERVAL_MS);
+    }
+
+    /**
+     * @private
+     */
+    _stopDurationTimer() {
+        if (this._durationTimer) {
+            clearInterval(this._durationTimer);
+            this._durationTimer = null;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,166 @@
+/**
+ * TickerBar - Horizontal strip of recent Super Chats and new members
+ */
+
+import { TickerKind } from './MessageParser.js';
+
+/**
+ * Countdown interval for ticker chips
+ */
+const TICK_INTERVAL_MS = 1000;
+
+/**
+ * TickerBar keeps paid items visible for their paid duration, like YouTube's ticker
+ */
+export class TickerBar {
+    /**
+     * @param {HTMLElement} container - The ticker container element
+     * @param {object} options - Ticker options
+     * @param {Function} [options.onSelect] - Called with the ticker item when a chip is clicked
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onSelect = options.onSelect || null;
+        this.items = []; // { item, expiresAt, element }
+        this._tickTimer = null;
+    }
+
+    /**
+     * Add a ticker item (ignored if already shown)
+     * @param {object} item - Ticker item from MessageParser
+     */
+    addItem(item) {
+        if (!this.container || !item || item.durationSec <= 0) return;
+        if (this.items.some(entry => entry.item.id === item.id)) return;
+
+        const element = this._createChip(item);
+        const entry = {
+            item,
+            expiresAt: Date.now() + item.durationSec * 1000,
+            element
+        };
+
+        // Newest first, like YouTube
+        this.container.insertBefore(element, this.container.firstChild);
+        this.items.unshift(entry);
+
+        this._updateChip(entry);
+        this._startTicking();
+    }
+
+    /**
+     * Remove all ticker items
+     */
+    clear() {
+        this._stopTicking();
+        this.items = [];
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+    }
+
+    /**
+     * Destroy the ticker and stop its countdown
+     */
+    destroy() {
+        this.clear();
+        this.container = null;
+        this.onSelect = null;
+    }
+
+    /**
+     * Create a chip element for a ticker item
+     * @private
+     */
+    _createChip(item) {
+        const chip = document.createElement('button');
+        chip.className = `chatover-ticker-chip chatover-ticker-${item.kind}`;
+        chip.style.setProperty('--chatover-ticker-color', item.color);
+        if (item.textColor) {
+            chip.style.color = item.textColor;
+        }
+
+        const label = item.kind === TickerKind.MEMBERSHIP ? (item.amount || 'New member') : item.amount;
+        chip.title = `${item.author.name}${label ? ` - ${label}` : ''}`;
+
+        chip.innerHTML = `
+            <span class="chatover-ticker-progress"></span>
+            <img class="chatover-ticker-avatar"
+                 src="${this._escapeHtml(item.author.avatarUrl)}"
+                 alt="${this._escapeHtml(item.author.name)}"
+                 onerror="this.style.display='none'" />
+            <span class="chatover-ticker-label">${this._escapeHtml(item.kind === TickerKind.MEMBERSHIP ? '★' : label)}</span>
+        `;
+
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onSelect) {
+                this.onSelect(item);
+            }
+        });
+
+        return chip;
+    }
+
+    /**
+     * Update a chip's remaining-time bar
+     * @private
+     */
+    _updateChip(entry) {
+        const remainingMs = Math.max(0, entry.expiresAt - Date.now());
+        const fullMs = Math.max(1, entry.item.fullDurationSec * 1000);
+        const progress = entry.element.querySelector('.chatover-ticker-progress');
+        if (progress) {
+            progress.style.width = `${Math.min(100, (remainingMs / fullMs) * 100)}%`;
+        }
+    }
+
+    /**
+     * Count down all chips and drop expired ones
+     * @private
+     */
+    _tick() {
+        const now = Date.now();
+        this.items = this.items.filter(entry => {
+            if (entry.expiresAt <= now) {
+                entry.element.remove();
+                return false;
+            }
+            this._updateChip(entry);
+            return true;
+        });
+
+        if (this.items.length === 0) {
+            this._stopTicking();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _startTicking() {
+        if (this._tickTimer) return;
+        this._tickTimer = setInterval(() => this._tick(), TICK_INTERVAL_MS);
+    }
+
+    /**
+     * @private
+     */
+    _stopTicking() {
+        if (this._tickTimer) {
+            clearInterval(this._tickTimer);
+            this._tickTimer = null;
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
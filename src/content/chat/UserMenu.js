@@ -0,0 +1,321 @@
+/**
+ * UserMenu - User card with the author's details, session history and block / nickname / color / highlight actions
+ */
+
+import { getUserOverride, setUserOverride, getFilterRules, setFilterRules } from '../settings/SettingsManager.js';
+import { RuleField, RuleAction, createRule } from './RuleEngine.js';
+
+/**
+ * UserMenu opens next to a clicked username. Changes are saved right away
+ * through setUserOverride, keyed by the author's channel ID; highlighting
+ * adds a channel highlight rule to the filter rules.
+ */
+export class UserMenu {
+    /**
+     * @param {HTMLElement} container - Element the menu is positioned in (the overlay)
+     * @param {object} [options] - Card options
+     * @param {Function} [options.getHistory] - Returns the AuthorHistory entry for a channel ID
+     * @param {Function} [options.renderContent] - Renders message content (text runs, emotes) to HTML
+     * @param {Function} [options.onMention] - Called with the author when "Mention" is clicked
+     * @param {Function} [options.onSelectMessage] - Called with a message picked from the history
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.getHistory = options.getHistory || (() => null);
+        this.renderContent = options.renderContent || null;
+        this.onMention = options.onMention || null;
+        this.onSelectMessage = options.onSelectMessage || null;
+        this.element = null;
+        this.author = null;
+
+        this._outsideClickHandler = (e) => {
+            if (this.element && !this.element.contains(e.target)) {
+                this.close();
+            }
+        };
+        this._keyHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * Open the menu for a message's author
+     * @param {object} message - Normalized message object from MessageParser
+     * @param {MouseEvent} event - The click that opened the menu (for positioning)
+     */
+    open(message, event) {
+        const author = message?.author;
+        if (!this.container || !author?.channelId) return;
+
+        this.close();
+        // The history has the newest name, avatar and badges; fall back to the clicked message
+        const history = this.getHistory(author.channelId);
+        this.author = author;
+        this.element = this._createElement(author, history?.badges || message.badges || [], history);
+        this.container.appendChild(this.element);
+        this._position(event);
+
+        const historyList = this.element.querySelector('.chatover-user-card-history');
+        historyList.scrollTop = historyList.scrollHeight;
+
+        // Registered after the opening click has finished bubbling
+        setTimeout(() => {
+            document.addEventListener('mousedown', this._outsideClickHandler, true);
+            document.addEventListener('keydown', this._keyHandler, true);
+        }, 0);
+    }
+
+    /**
+     * Close the menu
+     */
+    close() {
+        this._commitNickname();
+        document.removeEventListener('mousedown', this._outsideClickHandler, true);
+        document.removeEventListener('keydown', this._keyHandler, true);
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.author = null;
+    }
+
+    /**
+     * Destroy the menu
+     */
+    destroy() {
+        this.close();
+        this.container = null;
+        this.renderContent = null;
+        this.onMention = null;
+        this.onSelectMessage = null;
+    }
+
+    /**
+     * Build the card DOM and wire up its controls
+     * @private
+     */
+    _createElement(author, badges, history) {
+        const override = getUserOverride(author.channelId);
+        const messages = history?.messages || [];
+        const details = [this._getRole(author), history?.membership].filter(Boolean).join(' · ');
+        const channelUrl = `https://www.youtube.com/channel/${encodeURIComponent(author.channelId)}`;
+
+        const el = document.createElement('div');
+        el.className = 'chatover-user-menu';
+        el.innerHTML = `
+            <div class="chatover-user-card-header">
+                <img class="chatover-user-card-avatar" src="${this._escapeHtml(author.avatarUrl)}" alt="" onerror="this.style.display='none'" />
+                <div class="chatover-user-card-info">
+                    <a class="chatover-user-menu-name" href="${channelUrl}" target="_blank" rel="noopener noreferrer" title="Open channel">${this._escapeHtml(author.name)}</a>
+                    <div class="chatover-user-card-details">${this._escapeHtml(details)}</div>
+                </div>
+            </div>
+            ${badges.length > 0 ? `<div class="chatover-user-card-badges">${badges.map(badge => this._renderBadge(badge)).join('')}</div>` : ''}
+            <div class="chatover-user-card-actions">
+                <button class="chatover-user-card-mention">Mention</button>
+                <button class="chatover-user-card-highlight">${this._findHighlightRule(author.channelId) ? 'Unhighlight' : 'Highlight'}</button>
+                <button class="chatover-user-menu-block">${override?.blocked ? 'Unblock' : 'Block'}</button>
+            </div>
+            <label class="chatover-user-menu-row">
+                <span>Nickname</span>
+                <input type="text" class="chatover-user-menu-nickname" maxlength="50">
+            </label>
+            <div class="chatover-user-menu-row">
+                <span>Color</span>
+                <input type="color" class="chatover-user-menu-color" value="${this._escapeHtml(override?.color || '#ffffff')}">
+                <button class="chatover-user-menu-clear-color" ${override?.color ? '' : 'hidden'}>Reset</button>
+            </div>
+            <div class="chatover-user-card-history-title">Messages this session (${messages.length})</div>
+            <div class="chatover-user-card-history">
+                ${messages.map((message, index) => this._renderHistoryItem(message, index)).join('')}
+            </div>
+        `;
+
+        const nicknameInput = el.querySelector('.chatover-user-menu-nickname');
+        const colorInput = el.querySelector('.chatover-user-menu-color');
+        const clearColorBtn = el.querySelector('.chatover-user-menu-clear-color');
+
+        // Set as properties, names can contain quotes
+        nicknameInput.placeholder = author.name || '';
+        nicknameInput.value = override?.nickname || '';
+
+        nicknameInput.addEventListener('change', () => this._commitNickname());
+        nicknameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.close();
+            }
+        });
+
+        colorInput.addEventListener('input', () => {
+            this._update({ color: colorInput.value });
+            clearColorBtn.hidden = false;
+        });
+        clearColorBtn.addEventListener('click', () => {
+            this._update({ color: '' });
+            clearColorBtn.hidden = true;
+        });
+
+        el.querySelector('.chatover-user-card-mention').addEventListener('click', () => {
+            const mentioned = this.author;
+            this.close();
+            if (this.onMention) {
+                this.onMention(mentioned);
+            }
+        });
+
+        el.querySelector('.chatover-user-card-highlight').addEventListener('click', (e) => {
+            e.target.textContent = this._toggleHighlight() ? 'Unhighlight' : 'Highlight';
+        });
+
+        el.querySelector('.chatover-user-menu-block').addEventListener('click', () => {
+            this._update({ blocked: !getUserOverride(this.author.channelId)?.blocked });
+            this.close();
+        });
+
+        el.querySelector('.chatover-user-card-history').addEventListener('click', (e) => {
+            const item = e.target.closest('.chatover-user-card-message');
+            const message = item && messages[Number(item.dataset.index)];
+            if (message && this.onSelectMessage) {
+                this.close();
+                this.onSelectMessage(message);
+            }
+        });
+
+        // Keep YouTube's keyboard shortcuts out of the nickname field
+        el.addEventListener('keydown', (e) => e.stopPropagation());
+
+        return el;
+    }
+
+    /**
+     * One line of the session history: time, then the message
+     * @private
+     */
+    _renderHistoryItem(message, index) {
+        const time = message.timestamp instanceof Date
+            ? message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : '';
+        const hasContent = message.message &&
+            (message.message.text || (message.message.runs && message.message.runs.length > 0));
+        const content = hasContent && this.renderContent
+            ? this.renderContent(message.message)
+            : this._escapeHtml(message.paidInfo?.amount?.display || message.membershipInfo?.duration || message.type);
+
+        return `
+            <div class="chatover-user-card-message ${message.deleted ? 'chatover-user-card-message-deleted' : ''}" data-index="${index}">
+                <span class="chatover-user-card-message-time">${this._escapeHtml(time)}</span>
+                <span class="chatover-user-card-message-text">${content}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderBadge(badge) {
+        const icon = badge.url
+            ? `<img src="${this._escapeHtml(badge.url)}" alt="" />`
+            : this._escapeHtml(badge.icon || '');
+        return `<span class="chatover-user-card-badge">${icon}${this._escapeHtml(badge.label)}</span>`;
+    }
+
+    /**
+     * Highest role of the author, like the username colors
+     * @private
+     */
+    _getRole(author) {
+        if (author.isOwner) return 'Owner';
+        if (author.isModerator) return 'Moderator';
+        if (author.isMember) return 'Member';
+        if (author.isVerified) return 'Verified';
+        return 'Viewer';
+    }
+
+    /**
+     * The filter rule highlighting this channel, if the card (or the user) added one
+     * @private
+     */
+    _findHighlightRule(channelId) {
+        return getFilterRules().find(rule => rule.field === RuleField.CHANNEL && !rule.regex &&
+            rule.action === RuleAction.HIGHLIGHT && rule.pattern === channelId) || null;
+    }
+
+    /**
+     * Add or remove the channel highlight rule
+     * @private
+     * @returns {boolean} Whether the author is highlighted now
+     */
+    _toggleHighlight() {
+        if (!this.author) return false;
+
+        const existing = this._findHighlightRule(this.author.channelId);
+        if (existing) {
+            setFilterRules(getFilterRules().filter(rule => rule.id !== existing.id));
+            return false;
+        }
+
+        setFilterRules([...getFilterRules(), createRule({
+            field: RuleField.CHANNEL,
+            pattern: this.author.channelId,
+            action: RuleAction.HIGHLIGHT
+        })]);
+        return true;
+    }
+
+    /**
+     * Save the nickname field if it was edited
+     * (closing the menu removes the field before it fires 'change')
+     * @private
+     */
+    _commitNickname() {
+        const nicknameInput = this.element?.querySelector('.chatover-user-menu-nickname');
+        if (!nicknameInput || !this.author) return;
+
+        const nickname = nicknameInput.value.trim();
+        if (nickname !== (getUserOverride(this.author.channelId)?.nickname || '')) {
+            this._update({ nickname });
+        }
+    }
+
+    /**
+     * Merge changes into the author's override and save
+     * @private
+     */
+    _update(changes) {
+        if (!this.author) return;
+        const current = getUserOverride(this.author.channelId) || {};
+        setUserOverride(this.author.channelId, {
+            ...current,
+            name: this.author.name,
+            ...changes
+        });
+    }
+
+    /**
+     * Place the menu at the click, kept inside the container
+     * @private
+     */
+    _position(event) {
+        const bounds = this.container.getBoundingClientRect();
+        const x = (event?.clientX ?? bounds.left) - bounds.left;
+        const y = (event?.clientY ?? bounds.top) - bounds.top;
+
+        const maxX = Math.max(0, this.container.clientWidth - this.element.offsetWidth);
+        const maxY = Math.max(0, this.container.clientHeight - this.element.offsetHeight);
+        this.element.style.left = `${Math.min(x, maxX)}px`;
+        this.element.style.top = `${Math.min(y, maxY)}px`;
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
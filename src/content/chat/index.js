@@ -2,8 +2,20 @@
  * Chat module index - exports all chat-related functionality
  */
 
-export { ChatManager, getChatManager, ConnectionState, resetChatManager } from './ChatManager.js';
-export { MessageType } from './MessageParser.js';
-export { MessageRenderer } from './MessageRenderer.js';
+export { ChatManager, getChatManager, ConnectionState, ChatFilter, resetChatManager } from './ChatManager.js';
+export { MessageType, ChatEventType, SystemMessageKind, getPlainText } from './MessageParser.js';
+export { MessageRenderer, DisplayMode, TimestampFormat } from './MessageRenderer.js';
+export { PollPanel } from './PollPanel.js';
+export { TickerBar } from './TickerBar.js';
+export { ReplayChat } from './ReplayChat.js';
+export { LiveSync } from './LiveSync.js';
+export { DanmakuLayer } from './DanmakuLayer.js';
+export { RuleEngine, RuleField, RuleAction, createRule, validateRule } from './RuleEngine.js';
+export { UserMenu } from './UserMenu.js';
+export { AuthorHistory } from './AuthorHistory.js';
+export { MessageMenu } from './MessageMenu.js';
+export { ChatViews, ChatView } from './ChatViews.js';
+export { parseAmount, convert, formatAmount, getRates, DEFAULT_RATES } from './Currency.js';
+export { StreamStats } from './StreamStats.js';
 export { resetMessageSender } from './MessageSender.js';
 
@@ -4,10 +4,14 @@
  */
 
 import browser from 'webextension-polyfill';
-import { getChatManager, ConnectionState, resetMessageSender, resetChatManager } from './chat/index.js';
-import { MessageRenderer } from './chat/MessageRenderer.js';
+import { getChatManager, ConnectionState, ChatFilter, resetMessageSender, resetChatManager, PollPanel, TickerBar, StreamStats, LiveSync, DanmakuLayer, RuleEngine, UserMenu, AuthorHistory, MessageMenu, ChatViews, ChatView } from './chat/index.js';
+import { MessageRenderer, DisplayMode } from './chat/MessageRenderer.js';
 import {
   loadSettings,
+  loadFilterRules,
+  loadUserOverrides,
+  getSetting,
+  setSetting,
   addChangeListener,
   removeChangeListener,
   applySettingsToOverlay,
@@ -28,12 +32,36 @@ const BUTTON_PLACEMENT_SELECTOR = '#teaser-carousel';
 const MIN_WIDTH = 280;
 const MIN_HEIGHT = 300;
 
+// Owner / moderator area
+const MOD_AREA_MAX_MESSAGES = 200;
+const MOD_AREA_MIN_HEIGHT = 48;
+
+// Filter rule notices in the overlay
+const NOTICE_DURATION_MS = 6000;
+const MAX_NOTICES = 3;
+
 // State tracking
 let isInitialized = false;
 let isInitializing = false; // Lock to prevent parallel init
 let initTimer = null; // Timer for debounced init
 let currentInitToken = null; // Token to validate active init session
 let messageRenderer = null;
+let modRenderer = null; // Owner / moderator messages, mirrored into their own area
+let chatViews = null; // All / Super Chats / Members / Mentions / Mods tabs over the main list
+let pollPanel = null; // Live poll panel instance
+let tickerBar = null; // Super Chat / membership ticker instance
+let streamStats = null; // Viewer/like/duration stats instance
+let liveSync = null; // Holds live chat back when watching behind the live edge
+let danmakuLayer = null; // Scrolling comments over the player in danmaku mode
+let ruleEngine = null; // User filter rules (hide, highlight, collapse, notify)
+let userMenu = null; // User card opened from usernames
+let authorHistory = null; // Every message per author this session, for the user card
+let messageMenu = null; // Right-click / long-press menu on messages
+let hiddenMessageIds = new Set(); // Messages hidden from the message menu, until the next video
+let replyPrefix = ''; // @mention put in front of the input by the last reply
+let windowedDisplayMode = DisplayMode.LIST; // Mode the danmaku button switches back to
+let renderStatsTimer = null; // Refreshes the render stats readout
+let cooldownTimer = null; // Slow mode input cooldown countdown
 let chatConnected = false;
 let resizeObserver = null;
 let isToggling = false; // Debounce lock for toggle button
@@ -85,6 +113,22 @@ function isLiveStream() {
   return isVisible;
 }
 
+/**
+ * Check if the video is a finished stream or premiere with chat replay
+ * The chat frame only exists (unhidden) on videos that have a chat
+ */
+function isChatReplay() {
+  const chatFrame = document.querySelector('ytd-live-chat-frame#chat');
+  return Boolean(chatFrame) && !chatFrame.hidden && !isLiveStream();
+}
+
+/**
+ * Get the main <video> element of the player
+ */
+function getVideoElement() {
+  return document.querySelector('video.html5-main-video') || document.querySelector('video');
+}
+
 /**
  * Check if current URL is a YouTube watch page
  */
@@ -93,14 +137,16 @@ function isWatchPage() {
 }
 
 /**
- * Wait for live stream indicators to appear in the DOM
+ * Wait for live stream or chat replay indicators to appear in the DOM
  * This handles the case where YouTube's player loads asynchronously
- * Only checks for the live badge - chat container exists on all videos
+ * Checks for the live badge or a visible chat replay frame - chat container exists on all videos
  */
-function waitForLiveStreamIndicator(timeout = 15000) {
+function waitForChatIndicator(timeout = 15000) {
+  const hasChat = () => isLiveStream() || isChatReplay();
+
   return new Promise((resolve) => {
     // Check immediately first
-    if (isLiveStream()) {
+    if (hasChat()) {
       resolve(true);
       return;
     }
@@ -117,8 +163,8 @@ function waitForLiveStreamIndicator(timeout = 15000) {
     };
 
     const observer = new MutationObserver(() => {
-      // Check live badge only (chat container exists on non-live videos too)
-      if (!resolved && isLiveStream()) {
+      // Check live badge / chat frame only (chat container exists on videos without chat too)
+      if (!resolved && hasChat()) {
         cleanup();
         resolve(true);
       }
@@ -128,7 +174,7 @@ function waitForLiveStreamIndicator(timeout = 15000) {
 
     // Also poll periodically as backup (some style changes don't trigger mutation)
     checkInterval = setInterval(() => {
-      if (!resolved && isLiveStream()) {
+      if (!resolved && hasChat()) {
         cleanup();
         resolve(true);
       }
@@ -226,7 +272,8 @@ function findLiveChatTeaserSection(teaserCarousel) {
   // Strategy 1: Look for the h2 element that contains "Live chat" text
   const h2Elements = teaserCarousel.querySelectorAll('h2');
   for (const h2 of h2Elements) {
-    if (h2.textContent.trim() === 'Live chat') {
+    const text = h2.textContent.trim();
+    if (text === 'Live chat' || text === 'Live chat replay') {
       // Return the h2 element - we'll position our button relative to it
       return { element: h2, insertAfter: h2, useAbsolutePosition: true };
     }
@@ -239,7 +286,7 @@ function findLiveChatTeaserSection(teaserCarousel) {
       .filter(n => n.nodeType === Node.TEXT_NODE)
       .map(n => n.textContent.trim())
       .join('');
-    if (directText === 'Live chat') {
+    if (directText === 'Live chat' || directText === 'Live chat replay') {
       return { element: el, insertAfter: el, useAbsolutePosition: true };
     }
   }
@@ -289,8 +336,13 @@ function toggleOverlay() {
     videoPlayer.appendChild(overlay);
     restoreOverlayState(overlay);
 
-    // Initialize chat when overlay is first created
-    initializeChat(overlay);
+    // Initialize chat when overlay is first created, then connect once settings
+    // (the saved chat feed among them) are loaded
+    initializeChat(overlay).then(() => {
+      if (!overlay.classList.contains('chatover-hidden')) {
+        connectChat();
+      }
+    });
 
     // Observe video player resize to constrain overlay position
     // This handles theater mode switches, window resize, etc.
@@ -305,9 +357,6 @@ function toggleOverlay() {
     // Show overlay immediately (newly created, so show it)
     overlay.classList.remove('chatover-hidden');
 
-    // Connect to chat
-    connectChat();
-
     // Save visibility state
     browser.storage.sync.set({ visible: true });
     return;
@@ -335,8 +384,100 @@ async function initializeChat(overlay) {
   await loadSettings();
   applySettingsToOverlay(overlay);
 
-  // Create message renderer (uses default max messages of 50)
-  messageRenderer = new MessageRenderer(messagesContainer);
+  // Filter rules run before messages reach the list or the danmaku layer
+  ruleEngine = new RuleEngine();
+  ruleEngine.setRules(await loadFilterRules());
+  await loadUserOverrides();
+
+  // Right-clicking or long-pressing a message opens copy / mention / reply / hide actions
+  messageMenu = new MessageMenu(overlay, {
+    onMention: mentionAuthor,
+    onReply: replyToMessage,
+    onHide: hideMessage
+  });
+
+  // Clicking a username opens the user card
+  authorHistory = new AuthorHistory();
+  userMenu = new UserMenu(overlay, {
+    getHistory: (channelId) => authorHistory?.get(channelId),
+    renderContent: (content) => messageRenderer.renderContent(content),
+    onMention: mentionAuthor,
+    onSelectMessage: revealInChat
+  });
+
+  // Create message renderer (virtualized, so a long history stays cheap)
+  messageRenderer = new MessageRenderer(messagesContainer, {
+    maxMessages: getSetting('maxMessages'),
+    maxRate: getMaxMessageRate(),
+    displayMode: getSetting('displayMode'),
+    timestampFormat: getSetting('timestampFormat'),
+    bannerContainer: overlay.querySelector('.chatover-banner'),
+    onAuthorClick: (message, event) => userMenu?.open(message, event),
+    onMessageMenu: (message, event) => messageMenu?.open(message, event)
+  });
+
+  // Tabs filtering the chat into views, each opened tab gets its own list and scroll position
+  chatViews = new ChatViews(overlay.querySelector('.chatover-tabs'), messageRenderer, {
+    getOwnNames,
+    getOwnChannelId: () => getChatManager().getOwnAuthor()?.channelId || null,
+    rendererOptions: {
+      onAuthorClick: (message, event) => userMenu?.open(message, event),
+      onMessageMenu: (message, event) => messageMenu?.open(message, event)
+    }
+  });
+
+  // Owner / moderator area - a plain list with its own, smaller history
+  modRenderer = new MessageRenderer(overlay.querySelector('.chatover-mod-messages'), {
+    maxMessages: MOD_AREA_MAX_MESSAGES,
+    timestampFormat: getSetting('timestampFormat'),
+    onAuthorClick: (message, event) => userMenu?.open(message, event),
+    onMessageMenu: (message, event) => messageMenu?.open(message, event)
+  });
+
+  // Create poll panel (voting goes through youtubei.js, so it needs a signed-in session)
+  pollPanel = new PollPanel(overlay.querySelector('.chatover-poll'), {
+    onVote: (poll, index) => getChatManager().votePoll(poll.choices[index])
+  });
+
+  // Create Super Chat ticker - clicking a chip brings the full message back into view
+  tickerBar = new TickerBar(overlay.querySelector('.chatover-ticker'), {
+    onSelect: (item) => {
+      if (item.message) {
+        revealInChat(item.message);
+      }
+    }
+  });
+
+  // Create header stats (viewers, likes, title, duration)
+  streamStats = new StreamStats(overlay.querySelector('.chatover-stats'));
+
+  // Scrolling comments over the player, sharing the renderer's emote / link rendering
+  danmakuLayer = new DanmakuLayer(overlay.parentElement, {
+    renderContent: (content) => messageRenderer.renderContent(content)
+  });
+  danmakuLayer.setEnabled(getSetting('displayMode') === DisplayMode.DANMAKU);
+
+  // Keep chat in step with the picture when watching a live stream behind the live edge
+  liveSync = new LiveSync({
+    getVideo: getVideoElement,
+    onRelease: showMessage,
+    onRetract: (messageIds) => {
+      if (authorHistory) {
+        authorHistory.retract(messageIds);
+      }
+      const ids = new Set(messageIds);
+      if (chatViews) {
+        chatViews.dropMessages(message => ids.has(message.id));
+      }
+      getRenderers().forEach(renderer => renderer.retractMessages(messageIds));
+      if (danmakuLayer) {
+        danmakuLayer.retractMessages(messageIds);
+      }
+    }
+  });
+
+  // Render cost readout (only visible when enabled in settings)
+  renderStatsTimer = setInterval(() => updateRenderStats(overlay), 1000);
 
   // Set up input handling
   const input = overlay.querySelector('.chatover-input');
@@ -371,23 +512,155 @@ async function connectChat() {
 
   // Set up event listeners
   chatManager.on('message', (message) => {
+    // Replays are already in step with the video
+    if (liveSync && !chatManager.isChatReplay()) {
+      liveSync.push(message);
+    } else {
+      showMessage(message);
+    }
+  });
+
+  // Replaced messages (e.g. held messages being approved)
+  chatManager.on('update', ({ messageId, message }) => {
+    if (hiddenMessageIds.has(messageId)) return;
+    if (liveSync && liveSync.update(messageId, message)) return;
+    if (authorHistory) {
+      authorHistory.update(messageId, message);
+    }
+    const filtered = ruleEngine ? ruleEngine.apply(message) : message;
+    if (chatViews && filtered) {
+      chatViews.updateMessage(messageId, filtered);
+    }
+    getRenderers().forEach(renderer => {
+      if (filtered) {
+        renderer.updateMessage(messageId, filtered);
+      } else {
+        renderer.retractMessages([messageId]);
+      }
+    });
+  });
+
+  // Deleted messages, bans and timeouts
+  chatManager.on('remove', (removal) => {
+    if (liveSync) {
+      liveSync.remove(removal);
+    }
+    if (authorHistory) {
+      authorHistory.remove(removal);
+    }
+    if (chatViews) {
+      chatViews.dropMessages(message => (removal.messageId && message.id === removal.messageId) ||
+        (removal.channelId && message.author?.channelId === removal.channelId));
+    }
+    getRenderers().forEach(renderer => renderer.removeMessages(removal));
+    if (danmakuLayer) {
+      danmakuLayer.removeMessages(removal);
+    }
+  });
+
+  // Pinned messages and announcements
+  chatManager.on('banner', (banner) => {
     if (messageRenderer) {
-      messageRenderer.addMessage(message);
+      messageRenderer.showBanner(banner);
+    }
+  });
+
+  chatManager.on('banner-remove', ({ id }) => {
+    if (messageRenderer) {
+      messageRenderer.removeBanner(id);
+    }
+    // Banner polls are removed like any other banner
+    if (pollPanel) {
+      pollPanel.close(id);
+    }
+  });
+
+  // Live polls
+  chatManager.on('poll', (poll) => {
+    if (pollPanel) {
+      pollPanel.show(poll);
+    }
+  });
+
+  chatManager.on('poll-close', ({ id }) => {
+    if (pollPanel) {
+      pollPanel.close(id);
+    }
+  });
+
+  // Viewer count, likes and title updates
+  chatManager.on('metadata', (metadata) => {
+    if (streamStats) {
+      streamStats.update(metadata);
+    }
+  });
+
+  // Slow mode, members-only and subscribers-only
+  chatManager.on('mode', (modes) => {
+    updateChatModes(overlay, modes);
+  });
+
+  // Super Chat / membership ticker
+  chatManager.on('ticker', (item) => {
+    if (tickerBar) {
+      tickerBar.addItem(item);
+    }
+  });
+
+  // Top chat / Live chat feed (re)loaded
+  chatManager.on('filter', ({ filter, isReload }) => {
+    // The reloaded feed brings its own recent messages
+    if (isReload && liveSync) {
+      liveSync.clear();
     }
+    if (isReload && messageRenderer) {
+      messageRenderer.clear();
+    }
+    if (isReload && chatViews) {
+      chatViews.clear();
+    }
+    if (isReload && danmakuLayer) {
+      danmakuLayer.clear();
+    }
+    updateChatFilter(overlay, filter);
   });
 
   chatManager.on('state', (state) => {
-    updateConnectionStatus(overlay, state);
+    const reconnectAttempts = chatManager.getReconnectAttempts();
+    updateConnectionStatus(overlay, state, reconnectAttempts);
 
     if (state === ConnectionState.CONNECTED) {
       chatConnected = true;
-      enableInput(overlay);
+
+      // Nobody can chat in a replay
+      if (chatManager.isChatReplay()) {
+        disableInput(overlay, 'Chat replay');
+      } else {
+        enableInput(overlay);
+      }
 
       // Remove loading placeholder now that we're connected
       const placeholder = overlay.querySelector('.chatover-placeholder');
       if (placeholder) {
         placeholder.remove();
       }
+
+      // Drop any leftover "Retrying..." notice after a reconnect
+      if (messageRenderer) {
+        messageRenderer.clearStatus();
+      }
+
+      if (streamStats) {
+        streamStats.setStreamInfo(chatManager.getStreamInfo());
+      }
+      getRenderers().forEach(renderer => renderer.setStreamStartTime(chatManager.getStreamInfo()?.startTime || null));
+    } else if (state === ConnectionState.RECONNECTING) {
+      // Keep chatConnected set so toggling the overlay doesn't start a second connection
+      disableInput(overlay, 'Reconnecting...');
+      if (messageRenderer) {
+        const attemptText = reconnectAttempts > 0 ? ` (attempt ${reconnectAttempts})` : '';
+        messageRenderer.showStatus(`Connection lost. Reconnecting${attemptText}...`, 'info');
+      }
     } else if (state === ConnectionState.ERROR || state === ConnectionState.ENDED) {
       chatConnected = false;
       disableInput(overlay);
@@ -423,17 +696,24 @@ async function connectChat() {
     }
   });
 
-  // Connect to chat
+  // Connect to chat with the remembered feed
+  chatManager.setChatFilter(getSetting('chatFilter'));
   updateConnectionStatus(overlay, ConnectionState.CONNECTING);
-  await chatManager.connect(videoId);
+  await chatManager.connect(videoId, {
+    // Chat replays follow the video's playback position
+    getVideo: getVideoElement
+  });
 }
 
 
 
 /**
  * Update connection status indicator in overlay
+ * @param {HTMLElement} overlay - The overlay element
+ * @param {string} state - ConnectionState value
+ * @param {number} reconnectAttempts - Failed reconnect attempts so far (shown while reconnecting)
  */
-function updateConnectionStatus(overlay, state) {
+function updateConnectionStatus(overlay, state, reconnectAttempts = 0) {
   let statusIndicator = overlay.querySelector('.chatover-status-indicator');
 
   if (!statusIndicator) {
@@ -454,7 +734,13 @@ function updateConnectionStatus(overlay, state) {
       break;
     case ConnectionState.CONNECTED:
       statusIndicator.classList.add('chatover-status-connected');
-      statusIndicator.title = 'Connected to chat';
+      statusIndicator.title = getChatManager().isChatReplay() ? 'Playing chat replay' : 'Connected to chat';
+      break;
+    case ConnectionState.RECONNECTING:
+      statusIndicator.classList.add('chatover-status-reconnecting');
+      statusIndicator.title = reconnectAttempts > 0
+        ? `Reconnecting to chat (attempt ${reconnectAttempts})...`
+        : 'Reconnecting to chat...';
       break;
     case ConnectionState.ERROR:
       statusIndicator.classList.add('chatover-status-error');
@@ -470,6 +756,264 @@ function updateConnectionStatus(overlay, state) {
   }
 }
 
+/**
+ * Show the active chat modes as chips in the overlay header
+ * @param {HTMLElement} overlay - The overlay element
+ * @param {object} modes - Chat modes from ChatManager.getChatModes()
+ */
+function updateChatModes(overlay, modes) {
+  const container = overlay.querySelector('.chatover-modes');
+  if (!container) return;
+
+  const chips = [];
+  if (modes.slowModeSeconds > 0) {
+    chips.push({ className: 'slow', label: `🐢 ${modes.slowModeSeconds}s`, title: `Slow mode: one message every ${modes.slowModeSeconds} seconds` });
+  }
+  if (modes.membersOnly) {
+    chips.push({ className: 'members', label: '★ Members', title: 'Members-only mode' });
+  }
+  if (modes.subscribersOnly) {
+    chips.push({ className: 'subscribers', label: '🔔 Subs', title: 'Subscribers-only mode' });
+  }
+
+  container.innerHTML = '';
+  chips.forEach(chip => {
+    const el = document.createElement('span');
+    el.className = `chatover-mode-chip chatover-mode-${chip.className}`;
+    el.textContent = chip.label;
+    el.title = chip.title;
+    container.appendChild(el);
+  });
+
+  // YouTube tells us up front when we can't chat at all
+  const input = overlay.querySelector('.chatover-input');
+  if (input && !input.disabled) {
+    input.placeholder = modes.restriction || 'Type a message...';
+  }
+}
+
+/**
+ * Show the active chat feed on the header switch
+ * @param {HTMLElement} overlay - The overlay element
+ * @param {string|null} filter - ChatFilter value, or null if the chat has no Top/Live feeds
+ */
+function updateChatFilter(overlay, filter) {
+  const button = overlay.querySelector('.chatover-filter-btn');
+  if (!button) return;
+
+  button.hidden = !filter;
+  button.disabled = false;
+  button.classList.remove('chatover-filter-pending');
+  if (!filter) return;
+
+  const isTop = filter === ChatFilter.TOP;
+  button.textContent = isTop ? 'Top' : 'Live';
+  button.title = isTop ? 'Top chat - switch to Live chat' : 'Live chat - switch to Top chat';
+}
+
+/**
+ * Switch between Top chat and Live chat and remember the choice
+ * @param {HTMLElement} overlay - The overlay element
+ */
+function toggleChatFilter(overlay) {
+  const chatManager = getChatManager();
+  const filter = chatManager.getChatFilter() === ChatFilter.TOP ? ChatFilter.LIVE : ChatFilter.TOP;
+
+  setSetting('chatFilter', filter);
+
+  // Stays pending until the chat reloads with the new feed
+  const button = overlay.querySelector('.chatover-filter-btn');
+  if (button && chatManager.setChatFilter(filter)) {
+    button.disabled = true;
+    button.classList.add('chatover-filter-pending');
+  }
+}
+
+/**
+ * Maximum visible message rate from settings
+ * @returns {number} Messages per second, 0 for unlimited
+ */
+function getMaxMessageRate() {
+  return parseInt(getSetting('maxMessageRate'), 10) || 0;
+}
+
+/**
+ * Show a message that is due (after any live sync delay)
+ * The list always keeps it as history, the danmaku layer flies it across the player if enabled
+ * @param {object} message - Normalized message object from MessageParser
+ */
+function showMessage(message) {
+  if (hiddenMessageIds.has(message.id)) return;
+
+  if (authorHistory) {
+    authorHistory.add(message);
+  }
+
+  // Counted before the rules so hidden Super Chats still add to the total
+  if (streamStats && message.paidInfo) {
+    streamStats.addPaidMessage(message);
+  }
+
+  const filtered = ruleEngine ? ruleEngine.apply(message) : message;
+  if (!filtered) return;
+
+  if (chatViews) {
+    chatViews.addMessage(filtered);
+  }
+  // Feed reloads send recent messages again, the area keeps the ones it already has
+  if (modRenderer && getSetting('showModArea') && isModAreaAuthor(filtered.author) && !modRenderer.hasMessage(filtered.id)) {
+    modRenderer.addMessage(filtered);
+  }
+  if (danmakuLayer) {
+    danmakuLayer.addMessage(filtered);
+  }
+  if (filtered.ruleInfo?.notify) {
+    showRuleNotice(filtered);
+  }
+}
+
+/**
+ * Renderers currently showing chat: every tab opened so far and the owner / moderator area
+ * @returns {MessageRenderer[]}
+ */
+function getRenderers() {
+  const views = chatViews ? chatViews.getRenderers() : [messageRenderer];
+  return [...views, modRenderer].filter(Boolean);
+}
+
+/**
+ * Names that count as mentioning the user: the name YouTube echoed back on their
+ * last sent message, plus the ones from the mentionNames setting
+ * @returns {string[]} Names without a leading @
+ */
+function getOwnNames() {
+  const ownName = getChatManager().getOwnAuthor()?.name || '';
+  return [ownName, ...(getSetting('mentionNames') || '').split(',')]
+    .map(name => name.trim().replace(/^@/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Bring a message into view in the main list (switching back to the All tab)
+ * @param {object} message - Normalized message object
+ */
+function revealInChat(message) {
+  if (chatViews) {
+    chatViews.setActive(ChatView.ALL);
+  }
+  if (messageRenderer) {
+    messageRenderer.revealMessage(message);
+  }
+}
+
+/**
+ * Whether an author's messages are mirrored into the owner / moderator area
+ * @param {object} author - Author from a parsed message
+ * @returns {boolean}
+ */
+function isModAreaAuthor(author) {
+  if (!author) return false;
+  return author.isOwner || author.isModerator || (getSetting('modAreaIncludeVerified') && author.isVerified);
+}
+
+/**
+ * Pop up a notice for a message matched by a notify rule
+ * Clicking the notice brings the message into view
+ * @param {object} message - Message with ruleInfo from RuleEngine
+ */
+function showRuleNotice(message) {
+  const container = document.querySelector('#chatover-overlay .chatover-notices');
+  if (!container) return;
+
+  const notice = document.createElement('button');
+  notice.className = 'chatover-notice';
+
+  const author = document.createElement('span');
+  author.className = 'chatover-notice-author';
+  author.textContent = message.author?.name || '';
+
+  const text = document.createElement('span');
+  text.className = 'chatover-notice-text';
+  text.textContent = message.message?.text || '';
+
+  notice.append('🔔 ', author, text);
+  notice.addEventListener('click', (e) => {
+    e.stopPropagation();
+    notice.remove();
+    revealInChat(message);
+  });
+
+  container.appendChild(notice);
+  while (container.children.length > MAX_NOTICES) {
+    container.firstChild.remove();
+  }
+  setTimeout(() => notice.remove(), NOTICE_DURATION_MS);
+}
+
+/**
+ * Switch between danmaku mode and the windowed display mode used before it
+ */
+function toggleDanmaku() {
+  const mode = getSetting('displayMode');
+  if (mode === DisplayMode.DANMAKU) {
+    setSetting('displayMode', windowedDisplayMode);
+  } else {
+    windowedDisplayMode = mode;
+    setSetting('displayMode', DisplayMode.DANMAKU);
+  }
+}
+
+/**
+ * Refresh the render cost / throughput readout
+ * @param {HTMLElement} overlay - The overlay element
+ */
+function updateRenderStats(overlay) {
+  if (!messageRenderer || !getSetting('showRenderStats')) return;
+
+  const element = overlay.querySelector('.chatover-render-stats');
+  if (!element) return;
+
+  const stats = messageRenderer.getRenderStats();
+  element.textContent = [
+    `${stats.messagesPerSecond} msg/s`,
+    `${stats.skippedPerSecond} skipped`,
+    `${stats.frames} frames`,
+    `${stats.avgRenderMs.toFixed(1)} ms avg`,
+    `${stats.maxRenderMs.toFixed(1)} ms max`,
+    `${stats.renderedRows}/${stats.historySize} rows`
+  ].join(' · ');
+}
+
+/**
+ * Show a slow mode countdown on the input until sending is allowed again
+ * @param {HTMLInputElement} input - The chat input element
+ * @param {number} seconds - Seconds to count down
+ */
+function startInputCooldown(input, seconds) {
+  const container = input.parentElement;
+  const badge = container?.querySelector('.chatover-input-cooldown');
+  if (!container || !badge || seconds <= 0) return;
+
+  if (cooldownTimer) clearInterval(cooldownTimer);
+
+  const endsAt = Date.now() + seconds * 1000;
+  const update = () => {
+    const remaining = Math.ceil((endsAt - Date.now()) / 1000);
+    if (remaining <= 0) {
+      clearInterval(cooldownTimer);
+      cooldownTimer = null;
+      container.classList.remove('chatover-input-cooling');
+      badge.textContent = '';
+      return;
+    }
+    badge.textContent = `⏳ ${remaining}s`;
+  };
+
+  container.classList.add('chatover-input-cooling');
+  update();
+  cooldownTimer = setInterval(update, 250);
+}
+
 /**
  * Set up the input handler for sending messages
  */
@@ -515,6 +1059,12 @@ function setupInputHandler(input) {
         if (result.success) {
           input.value = '';
           updateProgressBar(); // Reset progress bar
+
+          // Slow mode: count down until the next message is allowed
+          const { slowModeSeconds } = chatManager.getChatModes();
+          if (slowModeSeconds > 0) {
+            startInputCooldown(input, slowModeSeconds);
+          }
         } else {
           console.error('ChatOver: Failed to send message:', result.error);
 
@@ -523,6 +1073,16 @@ function setupInputHandler(input) {
             if (messageRenderer) {
               messageRenderer.showStatus('Cannot send: Sign in to YouTube to chat', 'error');
             }
+          } else if (result.error === 'slow_mode') {
+            startInputCooldown(input, result.retryAfter);
+          } else if (result.error === 'members_only') {
+            if (messageRenderer) {
+              messageRenderer.showStatus('Cannot send: Chat is in members-only mode', 'error');
+            }
+          } else if (result.error === 'subscribers_only') {
+            if (messageRenderer) {
+              messageRenderer.showStatus('Cannot send: Chat is in subscribers-only mode', 'error');
+            }
           } else if (result.error === 'restricted') {
             if (messageRenderer) {
               messageRenderer.showStatus('Cannot send: Please wait or check chat restrictions', 'error');
@@ -542,6 +1102,73 @@ function setupInputHandler(input) {
   });
 }
 
+/**
+ * @mention text for an author (newer channels already show their @handle as the name)
+ * @param {object} author - Author from a parsed message
+ * @returns {string} Mention
+ */
+function formatMention(author) {
+  return author.name.startsWith('@') ? author.name : `@${author.name}`;
+}
+
+/**
+ * Put an @mention of an author into the input at the cursor
+ * @param {object} author - Author from a parsed message
+ */
+function mentionAuthor(author) {
+  const input = document.querySelector('#chatover-overlay .chatover-input');
+  if (!input || input.disabled || !author?.name) return;
+
+  const mention = `${formatMention(author)} `;
+  const start = input.selectionStart ?? input.value.length;
+  const end = input.selectionEnd ?? input.value.length;
+  const before = input.value.slice(0, start);
+  const spacer = before && !before.endsWith(' ') ? ' ' : '';
+
+  input.value = `${before}${spacer}${mention}${input.value.slice(end)}`;
+  input.focus();
+  const cursor = before.length + spacer.length + mention.length;
+  input.setSelectionRange(cursor, cursor);
+  input.dispatchEvent(new Event('input')); // Updates the length bar
+}
+
+/**
+ * Start a reply to a message
+ * Fallback: youtubei.js's send_message only encodes the video and channel, it has no field for
+ * YouTube's reply context, so the message isn't linked to its parent. A reply opens with an
+ * @mention of the author instead (replacing the mention of an earlier reply target)
+ * @param {object} message - The message being replied to
+ */
+function replyToMessage(message) {
+  const input = document.querySelector('#chatover-overlay .chatover-input');
+  if (!input || input.disabled || !message?.author?.name) return;
+
+  const rest = replyPrefix && input.value.startsWith(replyPrefix)
+    ? input.value.slice(replyPrefix.length)
+    : input.value;
+  replyPrefix = `${formatMention(message.author)} `;
+
+  input.value = `${replyPrefix}${rest.trimStart()}`;
+  input.focus();
+  input.setSelectionRange(input.value.length, input.value.length);
+  input.dispatchEvent(new Event('input')); // Updates the length bar
+}
+
+/**
+ * Hide a single message for the rest of the session
+ * @param {object} message - The message to hide
+ */
+function hideMessage(message) {
+  hiddenMessageIds.add(message.id);
+  if (chatViews) {
+    chatViews.dropMessages(m => m.id === message.id);
+  }
+  getRenderers().forEach(renderer => renderer.retractMessages([message.id]));
+  if (danmakuLayer) {
+    danmakuLayer.retractMessages([message.id]);
+  }
+}
+
 /**
  * Enable the input field
  */
@@ -555,12 +1182,14 @@ function enableInput(overlay) {
 
 /**
  * Disable the input field
+ * @param {HTMLElement} overlay - The overlay element
+ * @param {string} placeholder - Placeholder text explaining why input is disabled
  */
-function disableInput(overlay) {
+function disableInput(overlay, placeholder = 'Chat not connected') {
   const input = overlay.querySelector('.chatover-input');
   if (input) {
     input.disabled = true;
-    input.placeholder = 'Chat not connected';
+    input.placeholder = placeholder;
   }
 }
 
@@ -595,18 +1224,35 @@ function createOverlay() {
 
   overlay.innerHTML = `
         <div class="chatover-header">
+            <div class="chatover-stats"></div>
+            <div class="chatover-modes"></div>
+            <div class="chatover-ticker"></div>
             <div class="chatover-controls">
+                <button class="chatover-filter-btn" hidden></button>
+                <button class="chatover-danmaku-btn" title="Scrolling comments over the video">⇶</button>
                 <button class="chatover-settings-btn" title="Settings">⚙️</button>
             </div>
         </div>
-        <div class="chatover-messages">
-            <div class="chatover-placeholder">
-                <div class="chatover-loading-spinner"></div>
-                <div class="chatover-loading-text">Connecting to chat...</div>
+        <div class="chatover-banner"></div>
+        <div class="chatover-poll"></div>
+        <div class="chatover-notices"></div>
+        <div class="chatover-mod-area">
+            <div class="chatover-mod-messages"></div>
+            <div class="chatover-mod-area-resize" title="Drag to resize"></div>
+        </div>
+        <div class="chatover-tabs"></div>
+        <div class="chatover-views">
+            <div class="chatover-messages">
+                <div class="chatover-placeholder">
+                    <div class="chatover-loading-spinner"></div>
+                    <div class="chatover-loading-text">Connecting to chat...</div>
+                </div>
             </div>
         </div>
+        <div class="chatover-render-stats"></div>
         <div class="chatover-input-container">
             <input type="text" class="chatover-input" placeholder="Connecting..." disabled maxlength="200" />
+            <span class="chatover-input-cooldown"></span>
             <div class="chatover-input-progress"><div class="chatover-input-progress-bar"></div></div>
         </div>
         <div class="chatover-resize"></div>
@@ -616,6 +1262,12 @@ function createOverlay() {
   const settingsBtn = overlay.querySelector('.chatover-settings-btn');
   settingsBtn.addEventListener('click', () => openSettings());
 
+  const filterBtn = overlay.querySelector('.chatover-filter-btn');
+  filterBtn.addEventListener('click', () => toggleChatFilter(overlay));
+
+  const danmakuBtn = overlay.querySelector('.chatover-danmaku-btn');
+  danmakuBtn.addEventListener('click', () => toggleDanmaku());
+
   // Make overlay draggable and resizable
   makeDraggable(overlay);
   makeResizable(overlay);
@@ -630,7 +1282,7 @@ function createOverlay() {
  * Restore overlay state from storage
  */
 async function restoreOverlayState(overlay) {
-  const settings = await browser.storage.sync.get(['position', 'size', 'minimized']);
+  const settings = await browser.storage.sync.get(['position', 'size', 'modAreaSize', 'minimized']);
 
   if (settings.position) {
     overlay.style.left = `${settings.position.x}px`;
@@ -644,6 +1296,10 @@ async function restoreOverlayState(overlay) {
     overlay.style.height = `${settings.size.height}px`;
   }
 
+  if (settings.modAreaSize) {
+    overlay.querySelector('.chatover-mod-area').style.height = `${settings.modAreaSize.height}px`;
+  }
+
   if (settings.minimized) {
     overlay.classList.add('chatover-minimized');
   }
@@ -660,7 +1316,16 @@ function makeDraggable(element) {
     // Don't drag if clicking on controls, resize handle, or input
     if (e.target.closest('.chatover-controls')) return;
     if (e.target.closest('.chatover-resize')) return;
+    if (e.target.closest('.chatover-mod-area-resize')) return;
     if (e.target.closest('.chatover-input')) return;
+    if (e.target.closest('.chatover-banner button')) return;
+    if (e.target.closest('.chatover-poll button')) return;
+    if (e.target.closest('.chatover-ticker-chip')) return;
+    if (e.target.closest('.chatover-new-messages')) return;
+    if (e.target.closest('.chatover-tab')) return;
+    if (e.target.closest('.chatover-notice')) return;
+    if (e.target.closest('.chatover-user-menu')) return;
+    if (e.target.closest('.chatover-message-menu')) return;
     // Don't drag if clicking on selectable text (check if selection is enabled via class)
     const overlay = e.target.closest('.chatover-overlay');
     if (overlay) {
@@ -736,10 +1401,14 @@ function makeDraggable(element) {
 
 /**
  * Make an element resizable via bottom-right corner
+ * The owner / moderator area inside it is resized by the bar under it
  */
 function makeResizable(element) {
   const resizeHandle = element.querySelector('.chatover-resize');
+  const modArea = element.querySelector('.chatover-mod-area');
+  const modAreaHandle = element.querySelector('.chatover-mod-area-resize');
   let isResizing = false;
+  let isResizingModArea = false;
   let startX, startY, startWidth, startHeight;
 
   resizeHandle.addEventListener('mousedown', (e) => {
@@ -752,12 +1421,28 @@ function makeResizable(element) {
     e.stopPropagation();
   });
 
+  modAreaHandle.addEventListener('mousedown', (e) => {
+    isResizingModArea = true;
+    startY = e.clientY;
+    startHeight = modArea.offsetHeight;
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
   // Remove old handlers if they exist (prevents duplicates)
   if (resizeMoveHandler) document.removeEventListener('mousemove', resizeMoveHandler);
   if (resizeUpHandler) document.removeEventListener('mouseup', resizeUpHandler);
 
   // Create and store handlers for later cleanup
   resizeMoveHandler = (e) => {
+    if (isResizingModArea) {
+      // Leaves at least half of the overlay to the main chat
+      const maxHeight = Math.max(MOD_AREA_MIN_HEIGHT, element.offsetHeight / 2);
+      const newHeight = Math.min(maxHeight, Math.max(MOD_AREA_MIN_HEIGHT, startHeight + e.clientY - startY));
+      modArea.style.height = `${newHeight}px`;
+      return;
+    }
+
     if (!isResizing) return;
 
     const deltaX = e.clientX - startX;
@@ -772,6 +1457,15 @@ function makeResizable(element) {
   };
 
   resizeUpHandler = () => {
+    if (isResizingModArea) {
+      isResizingModArea = false;
+
+      // Saved next to the overlay size
+      browser.storage.sync.set({
+        modAreaSize: { height: modArea.offsetHeight }
+      });
+    }
+
     if (isResizing) {
       isResizing = false;
 
@@ -823,6 +1517,59 @@ function handleSettingsChange(overlay, key, value) {
   // Apply all settings to overlay
   applySettingsToOverlay(overlay);
 
+  // Header stats visibility is handled by StreamStats itself
+  if (streamStats) {
+    streamStats.refresh();
+  }
+
+  if (chatViews) {
+    if (key === 'maxMessages' || key === 'reset') {
+      chatViews.getRenderers().forEach(renderer => renderer.setMaxMessages(getSetting('maxMessages')));
+    }
+    // Without the tab bar only the All view can be reached
+    if ((key === 'showTabs' || key === 'reset') && !getSetting('showTabs')) {
+      chatViews.setActive(ChatView.ALL);
+    }
+  }
+
+  if (messageRenderer) {
+    if (key === 'maxMessageRate' || key === 'reset') {
+      messageRenderer.setMaxRate(getMaxMessageRate());
+    }
+    if (key === 'displayMode' || key === 'reset') {
+      messageRenderer.setDisplayMode(getSetting('displayMode'));
+    }
+  }
+
+  getRenderers().forEach(renderer => {
+    if (key === 'timestampFormat' || key === 'reset') {
+      renderer.setTimestampFormat(getSetting('timestampFormat'));
+    }
+    // Rows outside the visible area keep their state as data, re-render them with the new mode
+    if (key === 'deletedMessageMode' || key === 'reset') {
+      renderer.refresh();
+    }
+    if (key === 'homeCurrency' || key === 'currencyRates' || key === 'reset') {
+      renderer.refreshPaidMessages();
+    }
+  });
+
+  if (ruleEngine && key === 'filterRules') {
+    ruleEngine.setRules(value);
+  }
+
+  // A user was blocked, unblocked, renamed or recolored
+  if (key === 'userOverrides') {
+    getRenderers().forEach(renderer => renderer.applyUserOverride(value.channelId));
+    if (danmakuLayer && value.override?.blocked) {
+      danmakuLayer.removeAuthor(value.channelId);
+    }
+  }
+
+  if (danmakuLayer && (key === 'displayMode' || key === 'reset')) {
+    danmakuLayer.setEnabled(getSetting('displayMode') === DisplayMode.DANMAKU);
+  }
+
   // Handle reset specifically
   if (key === 'reset') {
     // On reset, re-apply all settings
@@ -913,12 +1660,77 @@ function cleanup() {
     resizeUpHandler = null;
   }
 
+  // The tabs' own renderers first, the main one is destroyed below
+  if (chatViews) {
+    chatViews.destroy();
+    chatViews = null;
+  }
+
   // Clear message renderer properly (removes scroll listener)
   if (messageRenderer) {
     messageRenderer.destroy();
     messageRenderer = null;
   }
 
+  if (modRenderer) {
+    modRenderer.destroy();
+    modRenderer = null;
+  }
+
+  if (pollPanel) {
+    pollPanel.destroy();
+    pollPanel = null;
+  }
+
+  if (tickerBar) {
+    tickerBar.destroy();
+    tickerBar = null;
+  }
+
+  if (streamStats) {
+    streamStats.destroy();
+    streamStats = null;
+  }
+
+  if (liveSync) {
+    liveSync.destroy();
+    liveSync = null;
+  }
+
+  if (danmakuLayer) {
+    danmakuLayer.destroy();
+    danmakuLayer = null;
+  }
+
+  ruleEngine = null;
+
+  if (userMenu) {
+    userMenu.destroy();
+    userMenu = null;
+  }
+
+  if (authorHistory) {
+    authorHistory.clear();
+    authorHistory = null;
+  }
+
+  if (messageMenu) {
+    messageMenu.destroy();
+    messageMenu = null;
+  }
+  hiddenMessageIds = new Set();
+  replyPrefix = '';
+
+  if (renderStatsTimer) {
+    clearInterval(renderStatsTimer);
+    renderStatsTimer = null;
+  }
+
+  if (cooldownTimer) {
+    clearInterval(cooldownTimer);
+    cooldownTimer = null;
+  }
+
   // Close settings panel if open
   if (settingsPanel) {
     settingsPanel.destroy();
@@ -975,8 +1787,8 @@ async function init() {
     return;
   }
 
-  // Wait for live stream indicators (handles async YouTube player loading)
-  const isLive = await waitForLiveStreamIndicator(15000);
+  // Wait for live stream / chat replay indicators (handles async YouTube player loading)
+  const hasChat = await waitForChatIndicator(15000);
 
   // Check token again after async wait
   if (currentInitToken !== thisInitToken) {
@@ -984,12 +1796,12 @@ async function init() {
     return;
   }
 
-  if (!isLive) {
+  if (!hasChat) {
     isInitializing = false;
     return;
   }
 
-  console.log('ChatOver: Initialized for live stream');
+  console.log(`ChatOver: Initialized for ${isLiveStream() ? 'live stream' : 'chat replay'}`);
   isInitialized = true;
   isInitializing = false;
 
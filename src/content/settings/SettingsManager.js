@@ -35,6 +35,51 @@ const DEFAULT_SETTINGS = {
     selectableUsernames: true, // Allow selecting username text
     // Message direction setting
     messageDirection: 'bottom', // 'bottom' = newest at bottom (default), 'top' = newest at top
+    pauseOnHover: false,       // Stop auto-scrolling while the mouse is over the messages
+    timestampFormat: 'off',    // 'off', 'hh:mm', 'hh:mm:ss', 'relative' ("2m ago") or 'elapsed' (since stream start)
+    // Display mode settings
+    displayMode: 'list',       // 'list' = scrolling chat, 'ephemeral' = messages fade out, 'danmaku' = fly across the video
+    ephemeralDuration: 10,     // Seconds a message stays visible in ephemeral mode
+    ephemeralHighlightDuration: 30, // Seconds Super Chats, memberships and gifts stay visible
+    revealHistoryOnHover: true, // Show faded messages again while the mouse is over the overlay
+    danmakuDuration: 8,        // Seconds a danmaku comment takes to cross the player
+    danmakuFontSize: 24,       // Danmaku comment font size in pixels
+    danmakuArea: 75,           // Percentage of the player height (from the top) comments fly in
+    danmakuMaxComments: 40,    // Most flying comments on screen at once, extra ones are dropped
+    // Owner / moderator area
+    showModArea: false,        // Mirror owner and moderator messages in a separate area above chat
+    modAreaIncludeVerified: false, // Also mirror verified channels
+    // Tab settings
+    showTabs: true,            // Show the All / Super Chats / Members / Mentions / Mods tabs above chat
+    mentionNames: '',          // Extra comma-separated names that count as mentioning you
+    // Header settings
+    showTicker: true,          // Show Super Chat / membership ticker in the header
+    showViewerCount: true,     // Show concurrent viewers in the header
+    showLikeCount: false,      // Show like count in the header
+    showStreamDuration: true,  // Show time since the stream started
+    showStreamTitle: false,    // Show stream title in the header
+    showPaidTotals: true,      // Show the session's Super Chat total per currency in the header
+    // Super Chat settings
+    homeCurrency: '',          // Currency code paid amounts are converted to ('' = don't convert)
+    currencyRates: {},         // User edits to the bundled rates (units per 1 USD), keyed by currency code
+    // System message settings
+    showEngagementMessages: true,  // "Welcome to live chat!" and similar notices
+    showModeChangeMessages: true,  // Slow mode / members-only changes
+    showPlaceholderMessages: true, // Messages held for review
+    showRedirectMessages: true,    // Raids / redirects to other streams
+    showStreamEndedMessages: true, // "Live chat ended" notice
+    // Chat feed
+    chatFilter: 'TOP_CHAT',    // 'TOP_CHAT' or 'LIVE_CHAT', switched from the overlay header
+    chatDelay: 0,              // Extra seconds to hold chat back when it runs ahead of the picture
+    // Performance settings
+    maxMessages: 500,          // Messages kept in history (only the visible ones are in the DOM)
+    maxMessageRate: 'unlimited', // Messages shown per second: 'unlimited', '50', '20', '10', '5'
+    showRenderStats: false,    // Show render cost / throughput readout over the messages
+    // Moderation settings
+    deletedMessageMode: 'replace', // 'replace' = show [message deleted], 'strikethrough', 'remove'
+    collapseSpam: true,        // Merge repeated text into one row with a ×N counter
+    spamWindow: 20,            // Seconds within which identical messages count as repeats
+    spamThreshold: 3,          // Copies from different users before they are merged (own repeats always are)
     // Input area settings
     inputBackgroundColor: '#000000', // Input background color
     inputBackgroundOpacity: 0.5,     // Input background opacity (0-1)
@@ -53,6 +98,17 @@ let currentSettings = { ...DEFAULT_SETTINGS };
 // Listeners for settings changes
 const changeListeners = new Set();
 
+// Filter rules - stored under their own key so "Reset All" keeps them
+let currentFilterRules = [];
+let rulesSaveTimeout = null;
+
+// Per-user block / nickname / color overrides, keyed by channel ID so they survive name changes
+let currentUserOverrides = {};
+let overridesSaveTimeout = null;
+
+// Last save error for the lists kept in storage.local, keyed by storage key ('' = saved fine)
+const saveErrors = {};
+
 /**
  * Load settings from browser.storage.sync
  * @returns {Promise<Object>} The loaded settings
@@ -139,6 +195,156 @@ export async function resetSettings() {
     }
 }
 
+/**
+ * Read a list kept in browser.storage.local
+ * Filter rules and user overrides grow with use and outgrow storage.sync's 8 KB per item,
+ * so they live in storage.local; copies older versions saved to storage.sync are moved over
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} The stored value, or undefined if none
+ */
+async function loadLocal(key) {
+    const local = await browser.storage.local.get(key);
+    if (local[key] !== undefined) {
+        return local[key];
+    }
+
+    const synced = await browser.storage.sync.get(key);
+    if (synced[key] !== undefined) {
+        await browser.storage.local.set({ [key]: synced[key] });
+        await browser.storage.sync.remove(key);
+    }
+    return synced[key];
+}
+
+/**
+ * Write a list to browser.storage.local
+ * The outcome is recorded for getSaveError() and listeners are notified with the 'saveError' key
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+async function saveLocal(key, value) {
+    let error = '';
+    try {
+        await browser.storage.local.set({ [key]: value });
+    } catch (e) {
+        console.error(`ChatOver: Failed to save ${key}:`, e);
+        error = e?.message || String(e);
+    }
+
+    if ((saveErrors[key] || '') !== error) {
+        saveErrors[key] = error;
+        notifyListeners('saveError', { key, error });
+    }
+}
+
+/**
+ * Why the last save of a list failed
+ * @param {string} key - Storage key ('filterRules' or 'userOverrides')
+ * @returns {string} The error message, or '' if the last save worked
+ */
+export function getSaveError(key) {
+    return saveErrors[key] || '';
+}
+
+/**
+ * Load filter rules from browser.storage.local
+ * @returns {Promise<Object[]>} The loaded rules
+ */
+export async function loadFilterRules() {
+    try {
+        const filterRules = await loadLocal('filterRules');
+        currentFilterRules = Array.isArray(filterRules) ? filterRules : [];
+    } catch (error) {
+        console.error('ChatOver: Failed to load filter rules:', error);
+    }
+    return getFilterRules();
+}
+
+/**
+ * Get the current filter rules
+ * @returns {Object[]} Copies of the rule objects
+ */
+export function getFilterRules() {
+    return currentFilterRules.map(rule => ({ ...rule }));
+}
+
+/**
+ * Replace the filter rules and save (debounced)
+ * Listeners are notified with the 'filterRules' key
+ * @param {Object[]} rules - The new rule list
+ */
+export function setFilterRules(rules) {
+    currentFilterRules = rules.map(rule => ({ ...rule }));
+
+    if (rulesSaveTimeout) {
+        clearTimeout(rulesSaveTimeout);
+    }
+    rulesSaveTimeout = setTimeout(() => saveLocal('filterRules', currentFilterRules), SAVE_DEBOUNCE_MS);
+
+    notifyListeners('filterRules', getFilterRules());
+}
+
+/**
+ * Load user overrides from browser.storage.local
+ * @returns {Promise<Object>} Overrides keyed by channel ID
+ */
+export async function loadUserOverrides() {
+    try {
+        const userOverrides = await loadLocal('userOverrides');
+        currentUserOverrides = userOverrides && typeof userOverrides === 'object' ? userOverrides : {};
+    } catch (error) {
+        console.error('ChatOver: Failed to load user overrides:', error);
+    }
+    return getUserOverrides();
+}
+
+/**
+ * Get all user overrides
+ * @returns {Object} Copies of the overrides keyed by channel ID
+ */
+export function getUserOverrides() {
+    return Object.fromEntries(
+        Object.entries(currentUserOverrides).map(([channelId, override]) => [channelId, { ...override }])
+    );
+}
+
+/**
+ * Get the override for one user
+ * @param {string} channelId - Author channel ID
+ * @returns {{name: string, blocked: boolean, nickname: string, color: string}|null} The override, or null if none
+ */
+export function getUserOverride(channelId) {
+    return (channelId && currentUserOverrides[channelId]) || null;
+}
+
+/**
+ * Set or clear the override for one user and save (debounced)
+ * Overrides with nothing set are removed. Listeners are notified with the 'userOverrides' key
+ * @param {string} channelId - Author channel ID
+ * @param {Object|null} override - { name, blocked, nickname, color }, or null to remove
+ */
+export function setUserOverride(channelId, override) {
+    if (!channelId) return;
+
+    if (override && (override.blocked || override.nickname || override.color)) {
+        currentUserOverrides[channelId] = {
+            name: override.name || '',
+            blocked: Boolean(override.blocked),
+            nickname: override.nickname || '',
+            color: override.color || ''
+        };
+    } else {
+        delete currentUserOverrides[channelId];
+    }
+
+    if (overridesSaveTimeout) {
+        clearTimeout(overridesSaveTimeout);
+    }
+    overridesSaveTimeout = setTimeout(() => saveLocal('userOverrides', currentUserOverrides), SAVE_DEBOUNCE_MS);
+
+    notifyListeners('userOverrides', { channelId, override: getUserOverride(channelId) });
+}
+
 /**
  * Add a listener for settings changes
  * @param {Function} callback - Callback function(key, value)
@@ -235,6 +441,35 @@ export function applySettingsToOverlay(overlay) {
         overlay.classList.remove('chatover-selectable-usernames');
     }
 
+    // Apply owner / moderator area visibility
+    overlay.classList.toggle('chatover-show-mod-area', Boolean(settings.showModArea));
+
+    // Apply tab bar visibility
+    overlay.classList.toggle('chatover-show-tabs', Boolean(settings.showTabs));
+
+    // Danmaku mode shrinks the overlay to its header and input, messages fly across the video instead
+    overlay.classList.toggle('chatover-mode-danmaku', settings.displayMode === 'danmaku');
+
+    // Apply ephemeral history reveal
+    overlay.classList.toggle('chatover-ephemeral-reveal', Boolean(settings.revealHistoryOnHover));
+
+    // Apply render stats readout visibility
+    overlay.classList.toggle('chatover-show-render-stats', Boolean(settings.showRenderStats));
+
+    // Apply ticker visibility class
+    if (!settings.showTicker) {
+        overlay.classList.add('chatover-hide-ticker');
+    } else {
+        overlay.classList.remove('chatover-hide-ticker');
+    }
+
+    // Apply system message visibility classes (kept in the DOM so held messages can still be replaced)
+    overlay.classList.toggle('chatover-hide-system-engagement', !settings.showEngagementMessages);
+    overlay.classList.toggle('chatover-hide-system-mode_change', !settings.showModeChangeMessages);
+    overlay.classList.toggle('chatover-hide-system-placeholder', !settings.showPlaceholderMessages);
+    overlay.classList.toggle('chatover-hide-system-redirect', !settings.showRedirectMessages);
+    overlay.classList.toggle('chatover-hide-system-stream_ended', !settings.showStreamEndedMessages);
+
     // Apply message direction class
     if (settings.messageDirection === 'top') {
         overlay.classList.add('chatover-messages-top');
@@ -5,12 +5,43 @@
  */
 
 import browser from 'webextension-polyfill';
-import { getSettings, setSetting, resetSettings, getDefaultSettings } from './SettingsManager.js';
+import {
+  getSettings,
+  setSetting,
+  resetSettings,
+  getDefaultSettings,
+  getFilterRules,
+  setFilterRules,
+  getUserOverrides,
+  setUserOverride,
+  getSaveError,
+  addChangeListener,
+  removeChangeListener
+} from './SettingsManager.js';
+import { RuleField, RuleAction, createRule, validateRule } from '../chat/RuleEngine.js';
+import { DEFAULT_RATES, getRates } from '../chat/Currency.js';
 
 // Minimum dimensions for the settings panel
 const MIN_WIDTH = 320;
 const MIN_HEIGHT = 400;
 
+// Filter rule fields with their pattern hints
+const RULE_FIELDS = [
+  { value: RuleField.TEXT, label: 'Text', placeholder: 'Word or phrase' },
+  { value: RuleField.AUTHOR, label: 'Author', placeholder: 'Name' },
+  { value: RuleField.CHANNEL, label: 'Channel ID', placeholder: 'UC...' },
+  { value: RuleField.ROLE, label: 'Role', placeholder: 'owner, moderator, member, verified or regular' },
+  { value: RuleField.TYPE, label: 'Type', placeholder: 'text, paid, sticker, membership, gift_purchase...' },
+  { value: RuleField.BADGE, label: 'Badge', placeholder: 'Badge name' }
+];
+
+const RULE_ACTIONS = [
+  { value: RuleAction.HIDE, label: 'Hide' },
+  { value: RuleAction.HIGHLIGHT, label: 'Highlight' },
+  { value: RuleAction.COLLAPSE, label: 'Collapse' },
+  { value: RuleAction.NOTIFY, label: 'Notify' }
+];
+
 /**
  * SettingsPanel class - Creates and manages the settings UI
  */
@@ -22,7 +53,10 @@ export class SettingsPanel {
     this.onClose = null;
 
     // Track collapsed sections - all collapsed by default
-    this.collapsedSections = new Set(['text', 'colors', 'usernames', 'avatars', 'interaction', 'input']);
+    this.collapsedSections = new Set(['text', 'colors', 'usernames', 'avatars', 'interaction', 'display', 'tabs', 'modarea', 'rules', 'users', 'spam', 'superchats', 'header', 'system', 'performance', 'input']);
+
+    // Filter rules being edited (saved on every change)
+    this.rules = [];
 
     // Drag state
     this.isDragging = false;
@@ -48,6 +82,7 @@ export class SettingsPanel {
     this.boundResizeUp = this.handleResizeUp.bind(this);
     this.boundKeyDown = this.handleKeyDown.bind(this);
     this.boundConstrainPosition = this.constrainPanelToParent.bind(this);
+    this.boundSettingsChange = this.handleSettingsChange.bind(this);
   }
 
   /**
@@ -67,6 +102,7 @@ export class SettingsPanel {
     document.addEventListener('mousemove', this.boundResizeMove);
     document.addEventListener('mouseup', this.boundResizeUp);
     document.addEventListener('keydown', this.boundKeyDown);
+    addChangeListener(this.boundSettingsChange);
 
     // Observe video player resize to constrain panel position (theater mode, window resize, etc.)
     if (this.resizeObserver) {
@@ -99,6 +135,7 @@ export class SettingsPanel {
     document.removeEventListener('mousemove', this.boundResizeMove);
     document.removeEventListener('mouseup', this.boundResizeUp);
     document.removeEventListener('keydown', this.boundKeyDown);
+    removeChangeListener(this.boundSettingsChange);
     document.removeEventListener('fullscreenchange', this.boundConstrainPosition);
     document.removeEventListener('webkitfullscreenchange', this.boundConstrainPosition);
 
@@ -122,6 +159,23 @@ export class SettingsPanel {
     if (e.key === 'Escape') this.close();
   }
 
+  /**
+   * Show or clear a failed save of the rules / users lists
+   */
+  handleSettingsChange(key, value) {
+    if (key === 'saveError' && this.panel) {
+      this.renderSaveError(this.panel, value.key);
+    }
+  }
+
+  renderSaveError(panel, key) {
+    const el = panel.querySelector(`.chatover-save-error[data-key="${key}"]`);
+    if (!el) return;
+
+    const error = getSaveError(key);
+    el.textContent = error ? `Couldn't save, changes will be lost on reload (${error})` : '';
+  }
+
   /**
    * Create the settings panel DOM with collapsible sections
    */
@@ -209,10 +263,120 @@ export class SettingsPanel {
       { value: 'bottom', label: 'Newest at Bottom' },
       { value: 'top', label: 'Newest at Top' }
     ])}
+          ${this.createToggle('pauseOnHover', 'Pause on Hover', settings.pauseOnHover)}
+          ${this.createSelect('timestampFormat', 'Timestamps', settings.timestampFormat, [
+      { value: 'off', label: 'Off' },
+      { value: 'hh:mm', label: 'HH:MM' },
+      { value: 'hh:mm:ss', label: 'HH:MM:SS' },
+      { value: 'relative', label: 'Relative (2m ago)' },
+      { value: 'elapsed', label: 'Stream Time' }
+    ])}
+          ${this.createSelect('deletedMessageMode', 'Deleted Messages', settings.deletedMessageMode, [
+      { value: 'replace', label: 'Show [message deleted]' },
+      { value: 'strikethrough', label: 'Strike Through' },
+      { value: 'remove', label: 'Remove' }
+    ])}
+          ${this.createSlider('chatDelay', 'Chat Delay', settings.chatDelay, 0, 30, 1, 's')}
           ${this.createToggle('selectableMessages', 'Selectable Messages', settings.selectableMessages)}
           ${this.createToggle('selectableUsernames', 'Selectable Usernames', settings.selectableUsernames)}
         `)}
         
+        <!-- Display Mode Section -->
+        ${this.createSection('display', 'Display Mode', `
+          ${this.createSelect('displayMode', 'Mode', settings.displayMode, [
+      { value: 'list', label: 'Scrolling List' },
+      { value: 'ephemeral', label: 'Fade Out' },
+      { value: 'danmaku', label: 'Danmaku (Over Video)' }
+    ])}
+          ${this.createSlider('ephemeralDuration', 'Message Lifetime', settings.ephemeralDuration, 3, 60, 1, 's')}
+          ${this.createSlider('ephemeralHighlightDuration', 'Super Chat Lifetime', settings.ephemeralHighlightDuration, 5, 120, 5, 's')}
+          ${this.createToggle('revealHistoryOnHover', 'Reveal History on Hover', settings.revealHistoryOnHover)}
+          ${this.createSlider('danmakuDuration', 'Danmaku Speed', settings.danmakuDuration, 4, 16, 1, 's')}
+          ${this.createSlider('danmakuFontSize', 'Danmaku Size', settings.danmakuFontSize, 14, 40, 1, 'px')}
+          ${this.createSlider('danmakuArea', 'Danmaku Area', settings.danmakuArea, 25, 100, 5, '%')}
+          ${this.createSlider('danmakuMaxComments', 'Danmaku Density', settings.danmakuMaxComments, 10, 150, 10, '')}
+        `)}
+        
+        <!-- Tabs Section -->
+        ${this.createSection('tabs', 'Tabs', `
+          ${this.createToggle('showTabs', 'Show Tabs', settings.showTabs)}
+          <div class="chatover-rules-hint">Also count these names as mentions (comma-separated, your own name is picked up once you send a message)</div>
+          <input type="text" class="chatover-mention-names" maxlength="200" placeholder="name, other name" spellcheck="false" value="${this.escapeAttribute(settings.mentionNames)}">
+        `)}
+        
+        <!-- Owner & Moderators Section -->
+        ${this.createSection('modarea', 'Owner & Moderators', `
+          ${this.createToggle('showModArea', 'Separate Area', settings.showModArea)}
+          ${this.createToggle('modAreaIncludeVerified', 'Include Verified', settings.modAreaIncludeVerified)}
+          <div class="chatover-rules-hint">Drag the bar under the area to resize it</div>
+        `)}
+        
+        <!-- Filter Rules Section -->
+        ${this.createSection('rules', 'Filter Rules', `
+          <div class="chatover-rules-list"></div>
+          <div class="chatover-rules-footer">
+            <button class="chatover-settings-btn chatover-rules-add">+ Add Rule</button>
+            <span class="chatover-rules-hint">Rules apply to new messages</span>
+          </div>
+          <div class="chatover-rule-error chatover-save-error" data-key="filterRules"></div>
+        `)}
+        
+        <!-- Blocked & Renamed Users Section -->
+        ${this.createSection('users', 'Users', `
+          <div class="chatover-user-overrides-list"></div>
+          <div class="chatover-rules-hint">Click a username in chat to block, rename or recolor them</div>
+          <div class="chatover-rule-error chatover-save-error" data-key="userOverrides"></div>
+        `)}
+        
+        <!-- Spam Section -->
+        ${this.createSection('spam', 'Spam', `
+          ${this.createToggle('collapseSpam', 'Collapse Repeats', settings.collapseSpam)}
+          ${this.createSlider('spamWindow', 'Repeat Window', settings.spamWindow, 5, 120, 5, 's')}
+          ${this.createSlider('spamThreshold', 'Copies Before Collapsing', settings.spamThreshold, 2, 10, 1, '')}
+        `)}
+        
+        <!-- Super Chats Section -->
+        ${this.createSection('superchats', 'Super Chats', `
+          ${this.createSelect('homeCurrency', 'Convert To', settings.homeCurrency, [
+      { value: '', label: 'Don\'t Convert' },
+      ...Object.keys(DEFAULT_RATES).sort().map(code => ({ value: code, label: code }))
+    ])}
+          <div class="chatover-rules-hint">Exchange rates, units per 1 USD (one "CODE rate" per line, empty restores the bundled rates)</div>
+          <textarea class="chatover-currency-rates" rows="6" spellcheck="false"></textarea>
+        `)}
+        
+        <!-- Header Section -->
+        ${this.createSection('header', 'Header', `
+          ${this.createToggle('showViewerCount', 'Viewer Count', settings.showViewerCount)}
+          ${this.createToggle('showLikeCount', 'Like Count', settings.showLikeCount)}
+          ${this.createToggle('showStreamDuration', 'Stream Duration', settings.showStreamDuration)}
+          ${this.createToggle('showStreamTitle', 'Stream Title', settings.showStreamTitle)}
+          ${this.createToggle('showTicker', 'Super Chat Ticker', settings.showTicker)}
+          ${this.createToggle('showPaidTotals', 'Super Chat Total', settings.showPaidTotals)}
+        `)}
+        
+        <!-- System Messages Section -->
+        ${this.createSection('system', 'System Messages', `
+          ${this.createToggle('showEngagementMessages', 'Chat Notices', settings.showEngagementMessages)}
+          ${this.createToggle('showModeChangeMessages', 'Mode Changes', settings.showModeChangeMessages)}
+          ${this.createToggle('showPlaceholderMessages', 'Held Messages', settings.showPlaceholderMessages)}
+          ${this.createToggle('showRedirectMessages', 'Raids', settings.showRedirectMessages)}
+          ${this.createToggle('showStreamEndedMessages', 'Stream Ended', settings.showStreamEndedMessages)}
+        `)}
+        
+        <!-- Performance Section -->
+        ${this.createSection('performance', 'Performance', `
+          ${this.createSlider('maxMessages', 'History Size', settings.maxMessages, 50, 5000, 50, '')}
+          ${this.createSelect('maxMessageRate', 'Max Message Rate', settings.maxMessageRate, [
+      { value: 'unlimited', label: 'Unlimited' },
+      { value: '50', label: '50 / second' },
+      { value: '20', label: '20 / second' },
+      { value: '10', label: '10 / second' },
+      { value: '5', label: '5 / second' }
+    ])}
+          ${this.createToggle('showRenderStats', 'Render Stats', settings.showRenderStats)}
+        `)}
+        
         <!-- Input Section -->
         ${this.createSection('input', 'Input', `
           ${this.createToggle('inputAlwaysVisible', 'Always Visible', settings.inputAlwaysVisible)}
@@ -232,7 +396,20 @@ export class SettingsPanel {
       <div class="chatover-settings-resize"></div>
     `;
 
+    this.rules = getFilterRules();
+    this.renderRules(panel);
+    this.renderUserOverrides(panel);
+    this.renderCurrencyRates(panel);
+    this.renderSaveError(panel, 'filterRules');
+    this.renderSaveError(panel, 'userOverrides');
+
     this.setupEventListeners(panel);
+    this.setupRuleListeners(panel);
+    this.setupUserOverrideListeners(panel);
+    this.setupCurrencyRateListeners(panel);
+    panel.querySelector('.chatover-mention-names').addEventListener('change', (e) => {
+      setSetting('mentionNames', e.target.value.trim());
+    });
     this.stopEventCapture(panel);
 
     return panel;
@@ -269,7 +446,7 @@ export class SettingsPanel {
                  data-setting="${key}" 
                  min="${min}" max="${max}" step="${step}" 
                  value="${value}">
-          <span class="chatover-settings-value" data-for="${key}">${displayValue}</span>
+          <span class="chatover-settings-value" data-for="${key}" data-unit="${unit}">${displayValue}</span>
         </div>
       </div>
     `;
@@ -336,6 +513,232 @@ export class SettingsPanel {
     `;
   }
 
+  /**
+   * Create the editor row for a filter rule
+   */
+  createRuleRow(rule, index) {
+    const field = RULE_FIELDS.find(f => f.value === rule.field) || RULE_FIELDS[0];
+    const error = validateRule(rule);
+    const options = (list, value) => list
+      .map(opt => `<option value="${opt.value}" ${opt.value === value ? 'selected' : ''}>${opt.label}</option>`)
+      .join('');
+
+    return `
+      <div class="chatover-rule ${rule.enabled ? '' : 'chatover-rule-disabled'} chatover-rule-${rule.action}" data-index="${index}">
+        <div class="chatover-rule-row">
+          <button class="chatover-rule-enabled" title="${rule.enabled ? 'Disable rule' : 'Enable rule'}">${rule.enabled ? '●' : '○'}</button>
+          <select class="chatover-rule-field" title="Match on">${options(RULE_FIELDS, rule.field)}</select>
+          <select class="chatover-rule-action" title="Action">${options(RULE_ACTIONS, rule.action)}</select>
+          <button class="chatover-rule-delete" title="Delete rule">×</button>
+        </div>
+        <div class="chatover-rule-row">
+          <input type="text" class="chatover-rule-pattern" placeholder="${field.placeholder}" value="${this.escapeAttribute(rule.pattern)}">
+          <button class="chatover-rule-regex ${rule.regex ? 'chatover-rule-regex-on' : ''}" title="Regular expression">.*</button>
+          <input type="color" class="chatover-rule-color" title="Highlight color" value="${rule.color}">
+        </div>
+        <div class="chatover-rule-error">${error ? this.escapeAttribute(error) : ''}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the filter rule list
+   */
+  renderRules(panel) {
+    const list = panel.querySelector('.chatover-rules-list');
+    if (!list) return;
+
+    list.innerHTML = this.rules.length > 0
+      ? this.rules.map((rule, index) => this.createRuleRow(rule, index)).join('')
+      : '<div class="chatover-rules-empty">No rules yet</div>';
+  }
+
+  /**
+   * Wire up the filter rule editor (one delegated listener per event type)
+   */
+  setupRuleListeners(panel) {
+    const list = panel.querySelector('.chatover-rules-list');
+    const getIndex = (target) => parseInt(target.closest('.chatover-rule')?.dataset.index, 10);
+
+    panel.querySelector('.chatover-rules-add').addEventListener('click', () => {
+      this.rules.push(createRule());
+      this.saveRules();
+      this.renderRules(panel);
+      const patterns = list.querySelectorAll('.chatover-rule-pattern');
+      patterns[patterns.length - 1]?.focus();
+    });
+
+    list.addEventListener('click', (e) => {
+      const index = getIndex(e.target);
+      const rule = this.rules[index];
+      if (!rule) return;
+
+      if (e.target.closest('.chatover-rule-enabled')) {
+        rule.enabled = !rule.enabled;
+      } else if (e.target.closest('.chatover-rule-regex')) {
+        rule.regex = !rule.regex;
+      } else if (e.target.closest('.chatover-rule-delete')) {
+        this.rules.splice(index, 1);
+      } else {
+        return;
+      }
+      this.saveRules();
+      this.renderRules(panel);
+    });
+
+    list.addEventListener('change', (e) => {
+      const rule = this.rules[getIndex(e.target)];
+      if (!rule) return;
+
+      if (e.target.matches('.chatover-rule-field')) {
+        rule.field = e.target.value;
+      } else if (e.target.matches('.chatover-rule-action')) {
+        rule.action = e.target.value;
+      } else {
+        return;
+      }
+      this.saveRules();
+      this.renderRules(panel);
+    });
+
+    // Typing updates in place so the pattern input keeps focus
+    list.addEventListener('input', (e) => {
+      const row = e.target.closest('.chatover-rule');
+      const rule = this.rules[getIndex(e.target)];
+      if (!rule) return;
+
+      if (e.target.matches('.chatover-rule-pattern')) {
+        rule.pattern = e.target.value;
+        const error = validateRule(rule);
+        row.querySelector('.chatover-rule-error').textContent = error || '';
+      } else if (e.target.matches('.chatover-rule-color')) {
+        rule.color = e.target.value;
+      } else {
+        return;
+      }
+      this.saveRules();
+    });
+  }
+
+  saveRules() {
+    setFilterRules(this.rules);
+  }
+
+  /**
+   * Render the blocked / renamed / recolored users list
+   */
+  renderUserOverrides(panel) {
+    const list = panel.querySelector('.chatover-user-overrides-list');
+    if (!list) return;
+
+    const entries = Object.entries(getUserOverrides())
+      .sort(([, a], [, b]) => (a.nickname || a.name).localeCompare(b.nickname || b.name));
+
+    if (entries.length === 0) {
+      list.innerHTML = '<div class="chatover-rules-empty">No blocked or renamed users</div>';
+      return;
+    }
+
+    list.innerHTML = entries.map(([channelId, override]) => `
+      <div class="chatover-user-override ${override.blocked ? 'chatover-user-override-blocked' : ''}" data-channel-id="${this.escapeAttribute(channelId)}">
+        <div class="chatover-rule-row">
+          <span class="chatover-user-override-name" title="${this.escapeAttribute(channelId)}">${this.escapeAttribute(override.name || channelId)}</span>
+          <button class="chatover-user-override-block">${override.blocked ? 'Unblock' : 'Block'}</button>
+          <button class="chatover-user-override-delete" title="Forget this user">×</button>
+        </div>
+        <div class="chatover-rule-row">
+          <input type="text" class="chatover-user-override-nickname" maxlength="50" placeholder="Nickname" value="${this.escapeAttribute(override.nickname)}">
+          <input type="color" class="chatover-user-override-color" title="Username color" value="${this.escapeAttribute(override.color || '#ffffff')}">
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Wire up the users list (one delegated listener per event type)
+   */
+  setupUserOverrideListeners(panel) {
+    const list = panel.querySelector('.chatover-user-overrides-list');
+    const getEntry = (target) => {
+      const channelId = target.closest('.chatover-user-override')?.dataset.channelId;
+      const override = channelId && getUserOverrides()[channelId];
+      return override ? { channelId, override } : null;
+    };
+
+    list.addEventListener('click', (e) => {
+      const entry = getEntry(e.target);
+      if (!entry) return;
+
+      if (e.target.closest('.chatover-user-override-block')) {
+        setUserOverride(entry.channelId, { ...entry.override, blocked: !entry.override.blocked });
+      } else if (e.target.closest('.chatover-user-override-delete')) {
+        setUserOverride(entry.channelId, null);
+      } else {
+        return;
+      }
+      this.renderUserOverrides(panel);
+    });
+
+    list.addEventListener('change', (e) => {
+      const entry = getEntry(e.target);
+      if (!entry) return;
+
+      if (e.target.matches('.chatover-user-override-nickname')) {
+        setUserOverride(entry.channelId, { ...entry.override, nickname: e.target.value.trim() });
+        // Clearing the last thing set forgets the user
+        this.renderUserOverrides(panel);
+      } else if (e.target.matches('.chatover-user-override-color')) {
+        setUserOverride(entry.channelId, { ...entry.override, color: e.target.value });
+      }
+    });
+  }
+
+  /**
+   * Fill the exchange rate editor with the current table
+   */
+  renderCurrencyRates(panel) {
+    const textarea = panel.querySelector('.chatover-currency-rates');
+    if (!textarea) return;
+
+    textarea.value = Object.entries(getRates())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([code, rate]) => `${code} ${rate}`)
+      .join('\n');
+  }
+
+  /**
+   * Save edited exchange rates (only the ones that differ from the bundled table)
+   */
+  setupCurrencyRateListeners(panel) {
+    const textarea = panel.querySelector('.chatover-currency-rates');
+
+    textarea.addEventListener('change', () => {
+      const edited = {};
+      textarea.value.split('\n').forEach(line => {
+        const [code, rate] = line.trim().split(/\s+/);
+        const value = parseFloat(rate);
+        if (/^[A-Za-z]{3}$/.test(code || '') && value > 0 && DEFAULT_RATES[code.toUpperCase()] !== value) {
+          edited[code.toUpperCase()] = value;
+        }
+      });
+
+      setSetting('currencyRates', edited);
+      // Drops unparseable lines and brings back the bundled rates that were deleted
+      this.renderCurrencyRates(panel);
+    });
+  }
+
+  /**
+   * Escape text for use in HTML attributes and content
+   */
+  escapeAttribute(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
   async loadPanelState() {
     try {
       const result = await browser.storage.sync.get(['settingsPanelPosition', 'settingsPanelSize']);
@@ -395,6 +798,7 @@ export class SettingsPanel {
       if (e.target.closest('input')) return;
       if (e.target.closest('button')) return;
       if (e.target.closest('select')) return;
+      if (e.target.closest('textarea')) return;
 
       this.isDragging = true;
       this.dragStartX = e.clientX;
@@ -470,7 +874,7 @@ export class SettingsPanel {
           if (setting === 'transparency' || setting === 'messageHoverOpacity' || setting === 'inputBackgroundOpacity') {
             valueDisplay.textContent = `${Math.round(value * 100)}%`;
           } else {
-            valueDisplay.textContent = `${value}px`;
+            valueDisplay.textContent = `${value}${valueDisplay.dataset.unit ?? 'px'}`;
           }
         }
 
@@ -479,7 +883,7 @@ export class SettingsPanel {
     });
 
     // Toggle inputs
-    const toggles = panel.querySelectorAll('input[type="checkbox"]');
+    const toggles = panel.querySelectorAll('input[type="checkbox"][data-setting]');
     toggles.forEach(toggle => {
       toggle.addEventListener('change', (e) => {
         const setting = e.target.dataset.setting;
@@ -594,13 +998,13 @@ export class SettingsPanel {
         if (setting === 'transparency' || setting === 'messageHoverOpacity' || setting === 'inputBackgroundOpacity') {
           valueDisplay.textContent = `${Math.round(settings[setting] * 100)}%`;
         } else {
-          valueDisplay.textContent = `${settings[setting]}px`;
+          valueDisplay.textContent = `${settings[setting]}${valueDisplay.dataset.unit ?? 'px'}`;
         }
       }
     });
 
     // Update toggles
-    panel.querySelectorAll('input[type="checkbox"]').forEach(toggle => {
+    panel.querySelectorAll('input[type="checkbox"][data-setting]').forEach(toggle => {
       toggle.checked = settings[toggle.dataset.setting];
     });
 
@@ -613,6 +1017,9 @@ export class SettingsPanel {
     panel.querySelectorAll('.chatover-settings-select').forEach(select => {
       select.value = settings[select.dataset.setting];
     });
+
+    panel.querySelector('.chatover-mention-names').value = settings.mentionNames;
+    this.renderCurrencyRates(panel);
   }
 
   stopEventCapture(element) {
@@ -629,6 +1036,7 @@ export class SettingsPanel {
     document.removeEventListener('mousemove', this.boundResizeMove);
     document.removeEventListener('mouseup', this.boundResizeUp);
     document.removeEventListener('keydown', this.boundKeyDown);
+    removeChangeListener(this.boundSettingsChange);
     document.removeEventListener('fullscreenchange', this.boundConstrainPosition);
     document.removeEventListener('webkitfullscreenchange', this.boundConstrainPosition);
 
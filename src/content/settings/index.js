@@ -9,6 +9,14 @@ export {
     getSetting,
     setSetting,
     resetSettings,
+    loadFilterRules,
+    getFilterRules,
+    setFilterRules,
+    loadUserOverrides,
+    getUserOverrides,
+    getUserOverride,
+    setUserOverride,
+    getSaveError,
     addChangeListener,
     removeChangeListener,
     applySettingsToOverlay,